@@ -0,0 +1,171 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { getConfig } = require('./config');
+
+// admin can do everything a coordinator can
+const ROLES = ['admin', 'coordinator'];
+const ROLE_IMPLIES = {
+    admin: ['admin', 'coordinator'],
+    coordinator: ['coordinator']
+};
+
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// ADMIN_API_KEYS="name:role:secret,name:role:secret"
+function parseApiKeys(value = getConfig().admin.apiKeys) {
+    return value
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [name, role, ...secret] = entry.split(':');
+            if (!name || !ROLES.includes(role) || secret.length === 0) {
+                throw new Error(`Invalid ADMIN_API_KEYS entry "${name}": expected name:role:secret with role ${ROLES.join('|')}`);
+            }
+            return { name, role, digest: digest(secret.join(':')) };
+        });
+}
+
+// Roles from custom claims: `roles: [...]`, `role: '...'` or `admin: true`
+function rolesFromClaims(claims) {
+    const roles = new Set();
+    const declared = Array.isArray(claims.roles) ? claims.roles : [claims.role];
+
+    for (const role of declared) {
+        for (const implied of ROLE_IMPLIES[role] || []) {
+            roles.add(implied);
+        }
+    }
+    if (claims.admin === true) {
+        ROLE_IMPLIES.admin.forEach(role => roles.add(role));
+    }
+
+    return [...roles];
+}
+
+function createAuthenticator(options = {}) {
+    const apiKeys = options.apiKeys || parseApiKeys();
+    // `auth: null` runs without Firebase Auth (offline); only API keys work
+    const auth = options.auth !== undefined ? options.auth : admin.auth();
+
+    function findApiKey(key) {
+        const keyDigest = digest(key);
+        return apiKeys.find(entry => crypto.timingSafeEqual(entry.digest, keyDigest));
+    }
+
+    // Resolve the operator from a Firebase ID token or an API key and
+    // attach it as req.user
+    async function identify(req) {
+        const apiKey = req.headers['x-api-key'];
+        if (apiKey) {
+            const entry = findApiKey(apiKey);
+            if (!entry) {
+                throw new HttpError(401, 'Unauthorized', 'Invalid API key');
+            }
+            return {
+                uid: `api-key:${entry.name}`,
+                email: null,
+                roles: ROLE_IMPLIES[entry.role],
+                via: 'api-key'
+            };
+        }
+
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        if (!match) {
+            throw new HttpError(401, 'Unauthorized', 'Provide a Firebase ID token (Authorization: Bearer) or an X-API-Key header');
+        }
+
+        if (!auth) {
+            throw new HttpError(401, 'Unauthorized', 'Firebase ID tokens are not accepted without Firebase; use an X-API-Key header');
+        }
+
+        let claims;
+        try {
+            claims = await auth.verifyIdToken(match[1], true);
+        } catch (error) {
+            throw new HttpError(401, 'Unauthorized', 'Invalid or expired ID token');
+        }
+
+        return {
+            uid: claims.uid,
+            email: claims.email || null,
+            roles: rolesFromClaims(claims),
+            via: 'firebase'
+        };
+    }
+
+    // Middleware: every request must come from a known operator with at
+    // least one role
+    function authenticate() {
+        return async (req, res, next) => {
+            try {
+                req.user = await identify(req);
+                if (req.user.roles.length === 0) {
+                    throw new HttpError(403, 'Forbidden', 'Your account has no admin role');
+                }
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    async function setRoles(uid, roles) {
+        if (!Array.isArray(roles) || roles.some(role => !ROLES.includes(role))) {
+            throw new HttpError(400, 'Invalid roles', `roles must be an array of: ${ROLES.join(', ')}`);
+        }
+
+        if (!auth) {
+            throw new HttpError(503, 'Firebase Auth unavailable', 'Roles are stored in Firebase Auth, which is not used with a local datastore');
+        }
+
+        let user;
+        try {
+            user = await auth.getUser(uid);
+        } catch (error) {
+            throw new HttpError(404, 'User not found', `No Firebase user with uid "${uid}"`);
+        }
+
+        // `roles` replaces the older single `role` / `admin` claims
+        const { role, admin: isAdmin, ...claims } = user.customClaims || {};
+        await auth.setCustomUserClaims(uid, { ...claims, roles });
+        // Force existing sessions to pick up the new claims
+        await auth.revokeRefreshTokens(uid);
+
+        return { uid, roles };
+    }
+
+    return {
+        authenticate,
+        setRoles
+    };
+}
+
+// Middleware: the authenticated operator must hold one of the roles
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const userRoles = (req.user && req.user.roles) || [];
+        if (!roles.some(role => userRoles.includes(role))) {
+            return next(new HttpError(403, 'Forbidden', `This action requires the ${roles.join(' or ')} role`));
+        }
+        next();
+    };
+}
+
+// Identifier recorded in audit fields such as status history
+function actorOf(req) {
+    return req.user ? req.user.email || req.user.uid : null;
+}
+
+module.exports = {
+    ROLES,
+    parseApiKeys,
+    rolesFromClaims,
+    createAuthenticator,
+    requireRole,
+    actorOf
+};
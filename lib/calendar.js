@@ -0,0 +1,71 @@
+// iCalendar (RFC 5545) helpers for calendar attachments
+
+function formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines
+function foldLine(line) {
+    const parts = [];
+    let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+        let cut = 75;
+        while (Buffer.byteLength(rest.slice(0, cut)) > 75) {
+            cut--;
+        }
+        parts.push(rest.slice(0, cut));
+        rest = ' ' + rest.slice(cut);
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+}
+
+// ORGANIZER property for a sender like "Name <address>" or a bare address
+function organizerLine(organizer) {
+    const match = String(organizer).match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+    const address = (match ? match[2] : organizer).trim();
+    const name = match ? match[1].replace(/"/g, '') : '';
+    return name ? `ORGANIZER;CN="${name}":mailto:${address}` : `ORGANIZER:mailto:${address}`;
+}
+
+// Build a single-event calendar file. `organizer` is a sender address,
+// optionally with a display name.
+function buildIcs({ uid, start, end, summary, description, location, organizer }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//EdCatalyst//Scholarship Exam//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatDate(new Date())}`,
+        `DTSTART:${formatDate(start)}`,
+        `DTEND:${formatDate(end)}`,
+        `SUMMARY:${escapeText(summary)}`
+    ];
+
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+    if (location) {
+        lines.push(`LOCATION:${escapeText(location)}`);
+    }
+    if (organizer) {
+        lines.push(organizerLine(organizer));
+    }
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildIcs };
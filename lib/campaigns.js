@@ -0,0 +1,490 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { renderEmail } = require('./mail/templates');
+const { buildEmailJob, OUTBOX_COLLECTION } = require('./mail/queue');
+const { parseFilters } = require('./registrations');
+const { unsubscribeUrl, unsubscribeHeaders } = require('./unsubscribe');
+const { logger } = require('./logger');
+const { getConfig } = require('./config');
+
+const CAMPAIGNS_COLLECTION = 'email_campaigns';
+const CAMPAIGN_RECIPIENTS_COLLECTION = 'campaign_recipients';
+
+// draft -> preparing -> sending -> completed, or cancelled before completing.
+// "completed" means every recipient has been handed to the outbox; delivery
+// is tracked per recipient.
+const CAMPAIGN_STATUSES = ['draft', 'preparing', 'sending', 'completed', 'cancelled'];
+
+// pending -> queued -> sent | retrying | failed | suppressed
+const RECIPIENT_STATUSES = ['pending', 'queued', 'retrying', 'sent', 'failed', 'suppressed'];
+const OUTCOME_STATUSES = { sent: 'sent', retry: 'retrying', dead: 'failed', suppressed: 'suppressed' };
+
+// Registration filters a campaign can target (the list endpoint's query
+// parameters, minus sorting)
+const FILTER_FIELDS = ['course', 'status', 'emailSent', 'minAttempts', 'maxAttempts', 'from', 'to'];
+const PLACEHOLDERS = ['name', 'firstName', 'email', 'courseName', 'courseCode'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const DEFAULT_POLL_INTERVAL_MS = 15000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// Firestore batches hold at most 500 writes
+const WRITE_BATCH_SIZE = 400;
+
+function plain(value) {
+    if (value && typeof value.toDate === 'function') {
+        return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(plain);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, plain(entry)]));
+    }
+    return value;
+}
+
+function serializeCampaign(doc) {
+    return { id: doc.id, ...plain(doc.data()) };
+}
+
+function serializeRecipient(doc) {
+    const { campaignId, ...data } = plain(doc.data());
+    return { id: doc.id, ...data };
+}
+
+// Keep the filters as query-string values so they parse the same way later
+function normalizeFilters(filters = {}) {
+    const normalized = {};
+    for (const field of FILTER_FIELDS) {
+        const value = filters[field];
+        if (value !== undefined && value !== null && value !== '') {
+            normalized[field] = value instanceof Date ? value.toISOString() : String(value);
+        }
+    }
+    parseFilters(normalized);
+    return normalized;
+}
+
+function assertPlaceholders(text, field) {
+    for (const [, name] of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+        if (!PLACEHOLDERS.includes(name)) {
+            throw new HttpError(400, 'Unknown placeholder', `${field} uses {{${name}}}; available: ${PLACEHOLDERS.map(entry => `{{${entry}}}`).join(', ')}`);
+        }
+    }
+}
+
+function fillPlaceholders(text, values) {
+    return String(text).replace(PLACEHOLDER_PATTERN, (match, name) => values[name] || '');
+}
+
+// One recipient per address, even when a person matches several registrations
+function recipientId(campaignId, email) {
+    const digest = crypto.createHash('sha256').update(String(email).toLowerCase()).digest('hex');
+    return `${campaignId}_${digest.slice(0, 24)}`;
+}
+
+function createCampaignManager(db, options = {}) {
+    const campaignsRef = db.collection(CAMPAIGNS_COLLECTION);
+    const recipientsRef = db.collection(CAMPAIGN_RECIPIENTS_COLLECTION);
+    const queries = options.queries;
+    const { mail, campaigns: defaults } = getConfig();
+    const sender = options.from || mail.from;
+    const replyTo = options.replyTo || mail.replyTo;
+    const pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    const onQueued = options.onQueued || (() => {});
+    const log = logger.child({ component: 'campaigns' });
+
+    let timer = null;
+    let running = false;
+
+    async function getCampaignDoc(id) {
+        const doc = await campaignsRef.doc(String(id)).get();
+        if (!doc.exists) {
+            throw new HttpError(404, 'Campaign not found', `No campaign with id "${id}"`);
+        }
+        return doc;
+    }
+
+    async function getCampaign(id) {
+        return serializeCampaign(await getCampaignDoc(id));
+    }
+
+    async function listCampaigns({ status } = {}) {
+        if (status && !CAMPAIGN_STATUSES.includes(status)) {
+            throw new HttpError(400, 'Invalid filter', `status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`);
+        }
+        let query = campaignsRef;
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+        const snapshot = await query.orderBy('createdAt', 'desc').get();
+        return snapshot.docs.map(serializeCampaign);
+    }
+
+    async function createCampaign(input, { actor } = {}) {
+        assertPlaceholders(input.subject, 'subject');
+        assertPlaceholders(input.message, 'message');
+
+        const ref = campaignsRef.doc();
+        await ref.set({
+            name: input.name,
+            filters: normalizeFilters(input.filters),
+            subject: input.subject,
+            message: input.message,
+            linkUrl: input.linkUrl || null,
+            linkLabel: input.linkLabel || null,
+            batchSize: input.batchSize || defaults.batchSize,
+            batchIntervalMs: input.batchIntervalMs || defaults.batchIntervalMs,
+            status: 'draft',
+            recipientCount: 0,
+            counts: {},
+            createdBy: actor || null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return getCampaign(ref.id);
+    }
+
+    // Registrations matching the campaign filters, one per address. Only a
+    // date range needs the createdAt ordering; otherwise walking by document
+    // id includes registrations that lack the field.
+    async function resolveRecipients(campaign) {
+        const parsed = parseFilters(campaign.filters);
+        const filters = { ...parsed, sort: parsed.from || parsed.to ? 'createdAt' : null, order: 'asc' };
+        const byEmail = new Map();
+
+        await queries.forEachRegistration(filters, registration => {
+            const email = String(registration.email || '').toLowerCase();
+            if (email && !byEmail.has(email)) {
+                byEmail.set(email, registration);
+            }
+        });
+
+        return [...byEmail.values()];
+    }
+
+    function messageFor(campaignId, campaign, recipient) {
+        const values = {
+            name: recipient.name,
+            firstName: String(recipient.name || '').split(/\s+/)[0],
+            email: recipient.email,
+            courseName: recipient.courseName,
+            courseCode: recipient.courseCode
+        };
+        const url = unsubscribeUrl(recipient.email, { campaignId });
+
+        return {
+            from: sender,
+            to: [recipient.email],
+            ...renderEmail('announcement', {
+                name: recipient.name,
+                subject: fillPlaceholders(campaign.subject, values),
+                message: fillPlaceholders(campaign.message, values),
+                linkUrl: campaign.linkUrl,
+                linkLabel: campaign.linkLabel,
+                unsubscribeUrl: url
+            }, { locale: recipient.locale }),
+            replyTo,
+            headers: {
+                ...unsubscribeHeaders(url),
+                'X-EdCatalyst-Campaign': campaignId
+            }
+        };
+    }
+
+    // Recipient count and the email the first recipient would get
+    async function previewCampaign(id) {
+        const doc = await getCampaignDoc(id);
+        const registrations = await resolveRecipients(doc.data());
+        const first = registrations[0];
+
+        return {
+            recipientCount: registrations.length,
+            sample: first ? messageFor(doc.id, doc.data(), {
+                email: first.email,
+                name: first.name,
+                courseName: first.course,
+                courseCode: first.courseCode || null,
+                locale: first.locale || null
+            }) : null
+        };
+    }
+
+    // Snapshot the audience as recipient documents and start sending. The
+    // audience is fixed here; later registrations are not added.
+    async function startCampaign(id, { actor } = {}) {
+        const ref = campaignsRef.doc(String(id));
+
+        const campaign = await db.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(ref);
+            if (!snapshot.exists) {
+                throw new HttpError(404, 'Campaign not found', `No campaign with id "${id}"`);
+            }
+            if (snapshot.get('status') !== 'draft') {
+                throw new HttpError(409, 'Campaign already started', `Campaign is ${snapshot.get('status')}`);
+            }
+            transaction.update(ref, {
+                status: 'preparing',
+                startedBy: actor || null,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return snapshot.data();
+        });
+
+        let registrations;
+        try {
+            registrations = await resolveRecipients(campaign);
+        } catch (error) {
+            await ref.update({ status: 'draft', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            throw error;
+        }
+        if (registrations.length === 0) {
+            await ref.update({ status: 'draft', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+            throw new HttpError(409, 'No recipients', 'No registrations match the campaign filters');
+        }
+
+        for (let i = 0; i < registrations.length; i += WRITE_BATCH_SIZE) {
+            const batch = db.batch();
+            for (const registration of registrations.slice(i, i + WRITE_BATCH_SIZE)) {
+                batch.set(recipientsRef.doc(recipientId(ref.id, registration.email)), {
+                    campaignId: ref.id,
+                    email: String(registration.email).toLowerCase(),
+                    name: registration.name || null,
+                    registrationId: registration.id,
+                    courseName: registration.course || null,
+                    courseCode: registration.courseCode || null,
+                    locale: registration.locale || null,
+                    status: 'pending',
+                    jobId: null,
+                    attempts: 0,
+                    lastError: null,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+            await batch.commit();
+        }
+
+        await ref.update({
+            status: 'sending',
+            recipientCount: registrations.length,
+            counts: { pending: registrations.length },
+            startedAt: admin.firestore.FieldValue.serverTimestamp(),
+            nextBatchAt: admin.firestore.Timestamp.now(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        log.info('Campaign started', { campaignId: ref.id, recipients: registrations.length });
+        setImmediate(dispatchDueBatches);
+
+        return getCampaign(ref.id);
+    }
+
+    // Stop sending; recipients already queued still get the email
+    async function cancelCampaign(id, { actor } = {}) {
+        const ref = campaignsRef.doc(String(id));
+
+        await db.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(ref);
+            if (!snapshot.exists) {
+                throw new HttpError(404, 'Campaign not found', `No campaign with id "${id}"`);
+            }
+            if (!['draft', 'sending'].includes(snapshot.get('status'))) {
+                throw new HttpError(409, 'Campaign not cancellable', `Campaign is ${snapshot.get('status')}`);
+            }
+            transaction.update(ref, {
+                status: 'cancelled',
+                cancelledBy: actor || null,
+                cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+                nextBatchAt: admin.firestore.FieldValue.delete(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        return getCampaign(id);
+    }
+
+    async function listRecipients(id, { status, limit, cursor } = {}) {
+        await getCampaignDoc(id);
+        if (status && !RECIPIENT_STATUSES.includes(status)) {
+            throw new HttpError(400, 'Invalid filter', `status must be one of: ${RECIPIENT_STATUSES.join(', ')}`);
+        }
+
+        const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        let query = recipientsRef.where('campaignId', '==', String(id));
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+        query = query.orderBy(admin.firestore.FieldPath.documentId());
+        if (cursor) {
+            query = query.startAfter(String(cursor));
+        }
+
+        const snapshot = await query.limit(pageSize).get();
+        return {
+            recipients: snapshot.docs.map(serializeRecipient),
+            nextCursor: snapshot.size === pageSize ? snapshot.docs[snapshot.size - 1].id : null
+        };
+    }
+
+    // Queue the next batch of one campaign. The batch slot is claimed in a
+    // transaction, so several server instances never send the same batch.
+    async function sendBatch(campaignId) {
+        const ref = campaignsRef.doc(campaignId);
+
+        const campaign = await db.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(ref);
+            const data = snapshot.data();
+            if (!snapshot.exists || data.status !== 'sending' || !data.nextBatchAt || data.nextBatchAt.toMillis() > Date.now()) {
+                return null;
+            }
+            transaction.update(ref, {
+                nextBatchAt: admin.firestore.Timestamp.fromMillis(Date.now() + data.batchIntervalMs)
+            });
+            return data;
+        });
+        if (!campaign) {
+            return;
+        }
+
+        const pending = await recipientsRef
+            .where('campaignId', '==', campaignId)
+            .where('status', '==', 'pending')
+            .limit(campaign.batchSize)
+            .get();
+
+        if (pending.empty) {
+            await ref.update({
+                status: 'completed',
+                completedAt: admin.firestore.FieldValue.serverTimestamp(),
+                nextBatchAt: admin.firestore.FieldValue.delete(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            log.info('Campaign completed', { campaignId });
+            return;
+        }
+
+        const batch = db.batch();
+        for (const doc of pending.docs) {
+            const jobRef = db.collection(OUTBOX_COLLECTION).doc();
+            batch.set(jobRef, buildEmailJob(messageFor(campaignId, campaign, doc.data()), {
+                kind: 'campaign',
+                template: 'announcement',
+                campaignId,
+                campaignRecipientId: doc.id
+            }));
+            batch.update(doc.ref, {
+                status: 'queued',
+                jobId: jobRef.id,
+                queuedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        batch.update(ref, {
+            'counts.pending': admin.firestore.FieldValue.increment(-pending.size),
+            'counts.queued': admin.firestore.FieldValue.increment(pending.size),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        await batch.commit();
+
+        log.info('Campaign batch queued', { campaignId, recipients: pending.size });
+        onQueued();
+    }
+
+    async function dispatchDueBatches() {
+        if (running) {
+            return;
+        }
+        running = true;
+
+        try {
+            const snapshot = await campaignsRef.where('status', '==', 'sending').get();
+            for (const doc of snapshot.docs) {
+                try {
+                    await sendBatch(doc.id);
+                } catch (error) {
+                    log.error('Failed to queue campaign batch', { campaignId: doc.id, error });
+                }
+            }
+        } catch (error) {
+            log.error('Campaign dispatch failed', { error });
+        } finally {
+            running = false;
+        }
+    }
+
+    // Email worker hook: move the recipient to the status matching the
+    // attempt's outcome and keep the campaign counts in step
+    async function recordOutcome(job, outcome, error, result) {
+        if (!job.campaignRecipientId) {
+            return;
+        }
+
+        const recipientRef = recipientsRef.doc(job.campaignRecipientId);
+        const to = OUTCOME_STATUSES[outcome];
+
+        await db.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(recipientRef);
+            if (!snapshot.exists) {
+                return;
+            }
+
+            const from = snapshot.get('status');
+            const update = {
+                status: to,
+                attempts: admin.firestore.FieldValue.increment(1),
+                lastError: error ? error.message : null,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+            if (outcome === 'sent') {
+                update.providerMessageId = (result && result.id) || null;
+                update.sentAt = admin.firestore.FieldValue.serverTimestamp();
+            }
+            transaction.update(recipientRef, update);
+
+            if (from !== to) {
+                transaction.update(campaignsRef.doc(snapshot.get('campaignId')), {
+                    [`counts.${from}`]: admin.firestore.FieldValue.increment(-1),
+                    [`counts.${to}`]: admin.firestore.FieldValue.increment(1)
+                });
+            }
+        });
+    }
+
+    return {
+        listCampaigns,
+        getCampaign,
+        createCampaign,
+        previewCampaign,
+        startCampaign,
+        cancelCampaign,
+        listRecipients,
+        dispatchDueBatches,
+        recordOutcome,
+
+        start() {
+            if (timer) {
+                return;
+            }
+            dispatchDueBatches();
+            timer = setInterval(dispatchDueBatches, pollIntervalMs);
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    CAMPAIGNS_COLLECTION,
+    CAMPAIGN_RECIPIENTS_COLLECTION,
+    CAMPAIGN_STATUSES,
+    RECIPIENT_STATUSES,
+    PLACEHOLDERS,
+    createCampaignManager
+};
@@ -0,0 +1,90 @@
+const { HttpError } = require('./errors');
+const { clientIp } = require('./rate-limit');
+const { logger } = require('./logger');
+const { getConfig } = require('./config');
+
+// siteverify endpoints; all accept a form-encoded secret + response
+const VERIFY_URLS = {
+    turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+    hcaptcha: 'https://api.hcaptcha.com/siteverify',
+    recaptcha: 'https://www.google.com/recaptcha/api/siteverify'
+};
+
+function createRemoteVerifier(provider, secret) {
+    if (!secret) {
+        throw new Error(`CAPTCHA_SECRET is required for the ${provider} CAPTCHA provider`);
+    }
+
+    return {
+        name: provider,
+
+        async verify(token, remoteIp) {
+            const body = new URLSearchParams({ secret, response: token });
+            if (remoteIp) {
+                body.set('remoteip', remoteIp);
+            }
+
+            const response = await fetch(VERIFY_URLS[provider], {
+                method: 'POST',
+                body,
+                signal: AbortSignal.timeout(5000)
+            });
+            const result = await response.json();
+            return result.success === true;
+        }
+    };
+}
+
+// Local stand-in: accepts one fixed token so forms can be tested offline
+function createStubVerifier(token = getConfig().abuse.captchaStubToken) {
+    return {
+        name: 'stub',
+
+        async verify(value) {
+            return value === token;
+        }
+    };
+}
+
+// CAPTCHA_PROVIDER: none (default), stub, turnstile, hcaptcha or recaptcha
+function createCaptchaVerifier(provider = getConfig().abuse.captchaProvider, secret = getConfig().abuse.captchaSecret) {
+    if (provider === 'none') {
+        return null;
+    }
+    if (provider === 'stub') {
+        return createStubVerifier();
+    }
+    if (VERIFY_URLS[provider]) {
+        return createRemoteVerifier(provider, secret);
+    }
+    throw new Error(`Unknown CAPTCHA provider "${provider}". Expected none, stub, ${Object.keys(VERIFY_URLS).join(', ')}`);
+}
+
+// Middleware requiring a valid token in `captchaToken` or X-Captcha-Token
+function requireCaptcha(verifier) {
+    return async (req, res, next) => {
+        if (!verifier) {
+            return next();
+        }
+
+        const token = (req.body && req.body.captchaToken) || req.headers['x-captcha-token'];
+        if (!token) {
+            return next(new HttpError(400, 'CAPTCHA required', 'Please complete the CAPTCHA'));
+        }
+
+        try {
+            if (!(await verifier.verify(String(token), clientIp(req)))) {
+                return next(new HttpError(400, 'CAPTCHA failed', 'CAPTCHA verification failed. Please try again.'));
+            }
+            next();
+        } catch (error) {
+            logger.error('CAPTCHA verification failed', { provider: verifier.name, error });
+            next(new HttpError(503, 'CAPTCHA unavailable', 'Could not verify the CAPTCHA. Please try again later.'));
+        }
+    };
+}
+
+module.exports = {
+    createCaptchaVerifier,
+    requireCaptcha
+};
@@ -0,0 +1,23 @@
+const { getConfig } = require('./config');
+
+// CORS_ORIGINS allowlist shared by the Express server and the serverless
+// handlers. "*" allows every origin and is refused in production.
+
+function isOriginAllowed(origin, origins = getConfig().cors.origins) {
+    return Boolean(origin) && (origins.includes('*') || origins.includes(origin));
+}
+
+// Options for the cors middleware. Disallowed origins get no CORS headers,
+// so browsers block the response; requests without an Origin pass through.
+function corsOptions(origins = getConfig().cors.origins) {
+    return {
+        origin: (origin, callback) => callback(null, isOriginAllowed(origin, origins)),
+        exposedHeaders: ['X-Request-Id'],
+        maxAge: 600
+    };
+}
+
+module.exports = {
+    isOriginAllowed,
+    corsOptions
+};
@@ -0,0 +1,257 @@
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+const { ValidationError } = require('./validation');
+const { getConfig } = require('./config');
+
+const COURSES_COLLECTION = 'courses';
+
+// Courses offered before the catalog moved into Firestore. They are seeded
+// into an empty `courses` collection on startup.
+const DEFAULT_COURSES = [
+    { code: 'web', title: 'WebCraft Pro: Full Stack Bootcamp' },
+    { code: 'cyber', title: 'Certified Cybersecurity Foundations and Practical Analyst Program (CCFPAP)' },
+    { code: 'data', title: 'Data Science & Machine Learning' },
+    { code: 'cloud', title: 'Cloud Computing & DevOps' }
+];
+
+const EDITABLE_FIELDS = ['title', 'description', 'seats', 'registrationOpensAt', 'registrationClosesAt', 'active', 'fee'];
+
+function toTimestamp(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new HttpError(400, 'Invalid course', `Invalid date: ${value}`);
+    }
+    return admin.firestore.Timestamp.fromDate(date);
+}
+
+function toIso(value) {
+    return value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value || null;
+}
+
+// Enrollment fee plan: the full fee in major units (rupees), before any
+// scholarship discount. null means the course has no fee plan yet.
+function parseFee(fee) {
+    if (fee === null) {
+        return null;
+    }
+    const amount = Number(fee.amount);
+    if (!Number.isFinite(amount) || amount <= 0 || Math.abs(Math.round(amount * 100) - amount * 100) > 1e-6) {
+        throw new HttpError(400, 'Invalid course', 'fee.amount must be a positive amount with at most two decimals');
+    }
+    return {
+        amount,
+        currency: fee.currency || getConfig().payments.currency
+    };
+}
+
+// Normalize admin input into the stored course shape
+function parseCourseFields(input, { partial = false } = {}) {
+    const fields = {};
+
+    for (const key of EDITABLE_FIELDS) {
+        if (input[key] === undefined) {
+            continue;
+        }
+        if (key === 'registrationOpensAt' || key === 'registrationClosesAt') {
+            fields[key] = toTimestamp(input[key]);
+        } else if (key === 'seats') {
+            const seats = input.seats === null ? null : Number(input.seats);
+            if (seats !== null && (!Number.isInteger(seats) || seats < 0)) {
+                throw new HttpError(400, 'Invalid course', 'seats must be a non-negative integer or null');
+            }
+            fields.seats = seats;
+        } else if (key === 'active') {
+            fields.active = Boolean(input.active);
+        } else if (key === 'fee') {
+            fields.fee = parseFee(input.fee);
+        } else {
+            fields[key] = String(input[key]).trim();
+        }
+    }
+
+    if (!partial && !fields.title) {
+        throw new HttpError(400, 'Invalid course', 'title is required');
+    }
+
+    return fields;
+}
+
+// Shape a course document for API responses
+function serializeCourse(doc) {
+    const data = doc.data();
+    return {
+        code: doc.id,
+        title: data.title,
+        description: data.description || '',
+        seats: data.seats === undefined ? null : data.seats,
+        registeredCount: data.registeredCount || 0,
+        seatsRemaining: data.seats === null || data.seats === undefined ?
+            null :
+            Math.max(data.seats - (data.registeredCount || 0), 0),
+        registrationOpensAt: toIso(data.registrationOpensAt),
+        registrationClosesAt: toIso(data.registrationClosesAt),
+        active: data.active !== false,
+        fee: data.fee || null
+    };
+}
+
+// Throw the 4xx a registration for this course should get, if any
+function assertCourseOpen(course, code, now = new Date()) {
+    if (!course) {
+        throw new ValidationError([{ field: 'course', message: `"${code}" is not a course we offer` }], 'Unknown course');
+    }
+    if (!course.active) {
+        throw new HttpError(409, 'Course unavailable', `${course.title} is not accepting registrations`);
+    }
+    if (course.registrationOpensAt && now < new Date(course.registrationOpensAt)) {
+        throw new HttpError(409, 'Registration not open', `Registration for ${course.title} opens on ${course.registrationOpensAt}`);
+    }
+    if (course.registrationClosesAt && now > new Date(course.registrationClosesAt)) {
+        throw new HttpError(409, 'Registration closed', `Registration for ${course.title} closed on ${course.registrationClosesAt}`);
+    }
+    if (course.seatsRemaining === 0) {
+        throw new HttpError(409, 'Course full', `All seats for ${course.title} have been filled`);
+    }
+
+    return course;
+}
+
+function createCourseCatalog(db) {
+    const coursesRef = db.collection(COURSES_COLLECTION);
+
+    async function listCourses({ includeInactive = false } = {}) {
+        const snapshot = await coursesRef.get();
+        return snapshot.docs
+            .map(serializeCourse)
+            .filter(course => includeInactive || course.active)
+            .sort((a, b) => a.title.localeCompare(b.title));
+    }
+
+    async function getCourse(code) {
+        const doc = await coursesRef.doc(String(code)).get();
+        return doc.exists ? serializeCourse(doc) : null;
+    }
+
+    async function createCourse(input) {
+        const code = String(input.code || '').trim().toLowerCase();
+        if (!/^[a-z0-9][a-z0-9_-]{0,39}$/.test(code)) {
+            throw new HttpError(400, 'Invalid course', 'code must be 1-40 lowercase letters, digits, "-" or "_"');
+        }
+
+        const fields = parseCourseFields(input);
+        const courseRef = coursesRef.doc(code);
+
+        try {
+            await courseRef.create({
+                description: '',
+                seats: null,
+                registrationOpensAt: null,
+                registrationClosesAt: null,
+                active: true,
+                fee: null,
+                ...fields,
+                registeredCount: 0,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            // gRPC ALREADY_EXISTS
+            if (error.code === 6) {
+                throw new HttpError(409, 'Course already exists', `A course with code "${code}" already exists`);
+            }
+            throw error;
+        }
+
+        return getCourse(code);
+    }
+
+    async function updateCourse(code, input) {
+        const courseRef = coursesRef.doc(String(code));
+        const doc = await courseRef.get();
+        if (!doc.exists) {
+            throw new HttpError(404, 'Course not found', `No course with code "${code}"`);
+        }
+
+        await courseRef.update({
+            ...parseCourseFields(input, { partial: true }),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return getCourse(code);
+    }
+
+    // Courses with registrations are deactivated rather than deleted, so
+    // existing registrations keep pointing at a real course
+    async function deleteCourse(code) {
+        const course = await getCourse(code);
+        if (!course) {
+            throw new HttpError(404, 'Course not found', `No course with code "${code}"`);
+        }
+
+        if (course.registeredCount > 0) {
+            await coursesRef.doc(course.code).update({
+                active: false,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { deleted: false, deactivated: true };
+        }
+
+        await coursesRef.doc(course.code).delete();
+        return { deleted: true, deactivated: false };
+    }
+
+    // Resolve a course code for a new registration, rejecting unknown,
+    // inactive, closed or full courses
+    async function requireOpenCourse(code, now = new Date()) {
+        const course = code ? await getCourse(String(code).trim().toLowerCase()) : null;
+        return assertCourseOpen(course, code, now);
+    }
+
+    // Seed the default catalog when the collection is empty
+    async function ensureDefaultCourses() {
+        const snapshot = await coursesRef.limit(1).get();
+        if (!snapshot.empty) {
+            return false;
+        }
+
+        const batch = db.batch();
+        for (const course of DEFAULT_COURSES) {
+            batch.set(coursesRef.doc(course.code), {
+                ...course,
+                description: '',
+                seats: null,
+                registrationOpensAt: null,
+                registrationClosesAt: null,
+                active: true,
+                fee: null,
+                registeredCount: 0,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        await batch.commit();
+        return true;
+    }
+
+    return {
+        coursesRef,
+        listCourses,
+        getCourse,
+        createCourse,
+        updateCourse,
+        deleteCourse,
+        requireOpenCourse,
+        ensureDefaultCourses
+    };
+}
+
+module.exports = {
+    COURSES_COLLECTION,
+    DEFAULT_COURSES,
+    serializeCourse,
+    assertCourseOpen,
+    createCourseCatalog
+};
@@ -0,0 +1,82 @@
+// Small RFC 4180 CSV reader/writer
+
+// Parse CSV text into an array of objects keyed by the header row
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return [];
+    }
+
+    const headers = nonEmpty[0].map(header => header.trim());
+    return nonEmpty.slice(1).map(cells => {
+        const record = {};
+        headers.forEach((header, index) => {
+            record[header] = (cells[index] || '').trim();
+        });
+        return record;
+    });
+}
+
+// Quote a value for CSV output. Values that a spreadsheet would treat as a
+// formula are prefixed with an apostrophe.
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+    return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    escapeCsvValue,
+    toCsvRow
+};
@@ -0,0 +1,41 @@
+const { initFirebase } = require('../firebase');
+const { createMemoryFirestore } = require('./memory');
+const { logger } = require('../logger');
+const { getConfig } = require('../config');
+
+let db;
+
+// The database selected through DATASTORE: Firestore, or the in-memory
+// stand-in from ./memory, optionally saved to DATASTORE_FILE. Created once
+// per process like initFirebase.
+function getDatastore(config = getConfig()) {
+    if (db) {
+        return db;
+    }
+
+    const { type, file } = config.datastore;
+
+    switch (type) {
+    case 'firestore':
+        db = initFirebase(config);
+        break;
+    case 'memory':
+        db = createMemoryFirestore();
+        break;
+    case 'file':
+        db = createMemoryFirestore({ file });
+        break;
+    default:
+        throw new Error(`Unknown datastore "${type}". Expected one of: firestore, memory, file`);
+    }
+
+    if (type !== 'firestore') {
+        logger.warn('Using the local datastore; data never reaches Firestore', { datastore: type, file: type === 'file' ? file : undefined });
+    }
+
+    return db;
+}
+
+module.exports = {
+    getDatastore
+};
@@ -0,0 +1,620 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// In-process stand-in for the part of the Firestore API this app uses, so
+// the server runs without Firebase. Data lives in memory and, when a file is
+// given, is saved to it as JSON after every write and loaded on startup.
+//
+// Supported: collection/doc references, get/set (with merge)/update (with
+// dotted paths)/create/delete, where (==, !=, <, <=, >, >=, in, not-in,
+// array-contains, array-contains-any), orderBy (including documentId),
+// limit, startAfter, batches, transactions, getAll and the FieldValue
+// sentinels serverTimestamp, increment, arrayUnion, arrayRemove and delete.
+// Transactions run one at a time instead of retrying on contention.
+
+const { Timestamp, FieldPath } = admin.firestore;
+const AUTO_ID_LENGTH = 20;
+const AUTO_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+function autoId() {
+    const bytes = crypto.randomBytes(AUTO_ID_LENGTH);
+    return Array.from(bytes, byte => AUTO_ID_ALPHABET[byte % AUTO_ID_ALPHABET.length]).join('');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// FieldValue sentinels identify themselves through methodName
+function sentinel(value) {
+    return value && typeof value === 'object' && typeof value.methodName === 'string' &&
+        value.methodName.startsWith('FieldValue.') ? value.methodName.slice('FieldValue.'.length) : null;
+}
+
+// Copy a value the way Firestore stores it: Dates become Timestamps and
+// nothing the caller holds on to can change the stored document
+function clone(value) {
+    if (value instanceof Date) {
+        return Timestamp.fromDate(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (Buffer.isBuffer(value)) {
+        return Buffer.from(value);
+    }
+    if (isPlainObject(value)) {
+        const copy = {};
+        for (const [key, entry] of Object.entries(value)) {
+            if (entry !== undefined) {
+                copy[key] = clone(entry);
+            }
+        }
+        return copy;
+    }
+    return value;
+}
+
+function isEqual(a, b) {
+    return compareValues(a, b) === 0;
+}
+
+// Firestore's cross-type ordering, reduced to the types the app stores
+function typeOrder(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'boolean') return 1;
+    if (typeof value === 'number') return 2;
+    if (value instanceof Timestamp) return 3;
+    if (typeof value === 'string') return 4;
+    if (Buffer.isBuffer(value)) return 5;
+    if (Array.isArray(value)) return 6;
+    return 7;
+}
+
+function compareValues(a, b) {
+    const typeA = typeOrder(a);
+    const typeB = typeOrder(b);
+    if (typeA !== typeB) {
+        return typeA - typeB;
+    }
+
+    switch (typeA) {
+    case 0:
+        return 0;
+    case 1:
+    case 2:
+        return a === b ? 0 : a < b ? -1 : 1;
+    case 3:
+        return a.toMillis() === b.toMillis() ? a.nanoseconds - b.nanoseconds : a.toMillis() - b.toMillis();
+    case 4:
+        return a === b ? 0 : a < b ? -1 : 1;
+    case 5:
+        return Buffer.compare(a, b);
+    case 6: {
+        for (let index = 0; index < Math.min(a.length, b.length); index++) {
+            const result = compareValues(a[index], b[index]);
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return a.length - b.length;
+    }
+    default:
+        return compareValues(JSON.stringify(a), JSON.stringify(b));
+    }
+}
+
+function fieldName(field) {
+    return field instanceof FieldPath ? field.toString() : String(field);
+}
+
+function getField(data, field) {
+    return fieldName(field).split('.').reduce((value, key) => (
+        value !== undefined && value !== null && typeof value === 'object' ? value[key] : undefined
+    ), data);
+}
+
+// Resolve FieldValue sentinels against the current value of the field
+function applyValue(current, value) {
+    switch (sentinel(value)) {
+    case 'serverTimestamp':
+        return Timestamp.now();
+    case 'increment':
+        return (typeof current === 'number' ? current : 0) + value.operand;
+    case 'arrayUnion': {
+        const result = Array.isArray(current) ? [...current] : [];
+        for (const element of value.elements) {
+            if (!result.some(existing => isEqual(existing, element))) {
+                result.push(clone(element));
+            }
+        }
+        return result;
+    }
+    case 'arrayRemove':
+        return (Array.isArray(current) ? current : []).filter(existing => !value.elements.some(element => isEqual(existing, element)));
+    default:
+        if (isPlainObject(value)) {
+            return mergeInto({}, value);
+        }
+        return clone(value);
+    }
+}
+
+// Write `fields` into `target`, resolving sentinels; nested objects are
+// merged when `merge` is set and replaced otherwise
+function mergeInto(target, fields, merge = false) {
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) {
+            continue;
+        }
+        if (sentinel(value) === 'delete') {
+            delete target[key];
+        } else if (merge && isPlainObject(value) && isPlainObject(target[key])) {
+            mergeInto(target[key], value, true);
+        } else {
+            target[key] = applyValue(target[key], value);
+        }
+    }
+    return target;
+}
+
+// update() semantics: keys are field paths ("delivery.openedAt")
+function updateFields(target, fields) {
+    for (const [key, value] of Object.entries(fields)) {
+        const parts = fieldName(key).split('.');
+        const last = parts.pop();
+        let parent = target;
+        for (const part of parts) {
+            if (!isPlainObject(parent[part])) {
+                parent[part] = {};
+            }
+            parent = parent[part];
+        }
+        if (sentinel(value) === 'delete') {
+            delete parent[last];
+        } else if (value !== undefined) {
+            parent[last] = applyValue(parent[last], value);
+        }
+    }
+    return target;
+}
+
+function notFound(refPath) {
+    const error = new Error(`5 NOT_FOUND: No document to update: ${refPath}`);
+    error.code = 5;
+    return error;
+}
+
+function alreadyExists(refPath) {
+    const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${refPath}`);
+    error.code = 6;
+    return error;
+}
+
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+
+    data() {
+        return this.exists ? clone(this._data) : undefined;
+    }
+
+    get(field) {
+        return this.exists ? clone(getField(this._data, field)) : undefined;
+    }
+}
+
+class QuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+}
+
+class DocumentReference {
+    constructor(store, collectionPath, id) {
+        this._store = store;
+        this.id = id;
+        this.path = `${collectionPath}/${id}`;
+        this.parent = new CollectionReference(store, collectionPath);
+        this.firestore = store;
+    }
+
+    async get() {
+        return this._store._snapshot(this);
+    }
+
+    set(data, options) {
+        return this._store.batch().set(this, data, options).commit();
+    }
+
+    update(data) {
+        return this._store.batch().update(this, data).commit();
+    }
+
+    create(data) {
+        return this._store.batch().create(this, data).commit();
+    }
+
+    delete() {
+        return this._store.batch().delete(this).commit();
+    }
+
+    isEqual(other) {
+        return other instanceof DocumentReference && other.path === this.path;
+    }
+}
+
+class Query {
+    constructor(store, collectionPath, options = {}) {
+        this._store = store;
+        this._collectionPath = collectionPath;
+        this._filters = options.filters || [];
+        this._orders = options.orders || [];
+        this._limit = options.limit;
+        this._startAfter = options.startAfter;
+        this.firestore = store;
+    }
+
+    _with(changes) {
+        return new Query(this._store, this._collectionPath, {
+            filters: this._filters,
+            orders: this._orders,
+            limit: this._limit,
+            startAfter: this._startAfter,
+            ...changes
+        });
+    }
+
+    where(field, op, value) {
+        return this._with({ filters: [...this._filters, { field: fieldName(field), op, value }] });
+    }
+
+    orderBy(field, direction = 'asc') {
+        return this._with({ orders: [...this._orders, { field: fieldName(field), direction }] });
+    }
+
+    limit(count) {
+        return this._with({ limit: count });
+    }
+
+    // A document snapshot or one value per orderBy clause
+    startAfter(...values) {
+        const cursor = values.length === 1 && values[0] instanceof DocumentSnapshot ?
+            this._orderings().map(order => this._valueOf(values[0], order.field)) :
+            values;
+        return this._with({ startAfter: cursor });
+    }
+
+    _valueOf(doc, field) {
+        return field === '__name__' ? doc.id : getField(doc._data, field);
+    }
+
+    // Inequality filters imply an ascending order on their field; documents
+    // missing an ordered field are left out, as in Firestore
+    _orderings() {
+        const orders = [...this._orders];
+        for (const filter of this._filters) {
+            if (['<', '<=', '>', '>=', '!=', 'not-in'].includes(filter.op) && !orders.some(order => order.field === filter.field)) {
+                orders.unshift({ field: filter.field, direction: 'asc' });
+            }
+        }
+        if (!orders.some(order => order.field === '__name__')) {
+            orders.push({ field: '__name__', direction: orders.length > 0 ? orders[orders.length - 1].direction : 'asc' });
+        }
+        return orders;
+    }
+
+    _matches(doc) {
+        return this._filters.every(({ field, op, value }) => {
+            const actual = this._valueOf(doc, field);
+            if (actual === undefined) {
+                return false;
+            }
+            switch (op) {
+            case '==': return isEqual(actual, value);
+            case '!=': return actual !== null && !isEqual(actual, value);
+            case '<': return typeOrder(actual) === typeOrder(value) && compareValues(actual, value) < 0;
+            case '<=': return typeOrder(actual) === typeOrder(value) && compareValues(actual, value) <= 0;
+            case '>': return typeOrder(actual) === typeOrder(value) && compareValues(actual, value) > 0;
+            case '>=': return typeOrder(actual) === typeOrder(value) && compareValues(actual, value) >= 0;
+            case 'in': return value.some(entry => isEqual(actual, entry));
+            case 'not-in': return actual !== null && !value.some(entry => isEqual(actual, entry));
+            case 'array-contains': return Array.isArray(actual) && actual.some(entry => isEqual(entry, value));
+            case 'array-contains-any': return Array.isArray(actual) && actual.some(entry => value.some(candidate => isEqual(entry, candidate)));
+            default: throw new Error(`Unsupported query operator "${op}"`);
+            }
+        });
+    }
+
+    _run() {
+        const orders = this._orderings();
+        const compare = (a, b) => {
+            for (const { field, direction } of orders) {
+                const result = compareValues(this._valueOf(a, field), this._valueOf(b, field));
+                if (result !== 0) {
+                    return direction === 'desc' ? -result : result;
+                }
+            }
+            return 0;
+        };
+
+        let docs = this._store._documents(this._collectionPath)
+            .filter(doc => orders.every(order => this._valueOf(doc, order.field) !== undefined))
+            .filter(doc => this._matches(doc))
+            .sort(compare);
+
+        if (this._startAfter) {
+            const cursor = this._startAfter;
+            docs = docs.filter(doc => {
+                for (let index = 0; index < cursor.length; index++) {
+                    const { field, direction } = orders[index];
+                    const result = compareValues(this._valueOf(doc, field), cursor[index]);
+                    if (result !== 0) {
+                        return direction === 'desc' ? result < 0 : result > 0;
+                    }
+                }
+                return false;
+            });
+        }
+        if (this._limit !== undefined) {
+            docs = docs.slice(0, this._limit);
+        }
+        return new QuerySnapshot(docs);
+    }
+
+    async get() {
+        return this._run();
+    }
+}
+
+class CollectionReference extends Query {
+    constructor(store, collectionPath) {
+        super(store, collectionPath);
+        this.id = collectionPath.split('/').pop();
+        this.path = collectionPath;
+    }
+
+    doc(id = autoId()) {
+        return new DocumentReference(this._store, this.path, String(id));
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+class WriteBatch {
+    constructor(store) {
+        this._store = store;
+        this._writes = [];
+    }
+
+    set(ref, data, options = {}) {
+        this._writes.push({ type: 'set', ref, data, merge: Boolean(options.merge) });
+        return this;
+    }
+
+    update(ref, data) {
+        this._writes.push({ type: 'update', ref, data });
+        return this;
+    }
+
+    create(ref, data) {
+        this._writes.push({ type: 'create', ref, data });
+        return this;
+    }
+
+    delete(ref) {
+        this._writes.push({ type: 'delete', ref });
+        return this;
+    }
+
+    async commit() {
+        this._store._apply(this._writes);
+        return this._writes.map(() => ({ writeTime: Timestamp.now() }));
+    }
+}
+
+class Transaction {
+    constructor(store) {
+        this._store = store;
+        this._batch = new WriteBatch(store);
+    }
+
+    async get(refOrQuery) {
+        return refOrQuery instanceof Query ? refOrQuery._run() : this._store._snapshot(refOrQuery);
+    }
+
+    async getAll(...refs) {
+        return refs.map(ref => this._store._snapshot(ref));
+    }
+
+    set(ref, data, options) {
+        this._batch.set(ref, data, options);
+        return this;
+    }
+
+    update(ref, data) {
+        this._batch.update(ref, data);
+        return this;
+    }
+
+    create(ref, data) {
+        this._batch.create(ref, data);
+        return this;
+    }
+
+    delete(ref) {
+        this._batch.delete(ref);
+        return this;
+    }
+}
+
+function encode(value) {
+    if (value instanceof Timestamp) {
+        return { __type: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+    }
+    if (Buffer.isBuffer(value)) {
+        return { __type: 'bytes', base64: value.toString('base64') };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encode);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, encode(entry)]));
+    }
+    return value;
+}
+
+function decode(value) {
+    if (Array.isArray(value)) {
+        return value.map(decode);
+    }
+    if (isPlainObject(value)) {
+        if (value.__type === 'timestamp') {
+            return new Timestamp(value.seconds, value.nanoseconds);
+        }
+        if (value.__type === 'bytes') {
+            return Buffer.from(value.base64, 'base64');
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, decode(entry)]));
+    }
+    return value;
+}
+
+class MemoryFirestore {
+    constructor(options = {}) {
+        this.name = options.file ? 'file' : 'memory';
+        this._file = options.file || null;
+        this._collections = new Map();
+        this._queue = Promise.resolve();
+
+        if (this._file && fs.existsSync(this._file)) {
+            const saved = decode(JSON.parse(fs.readFileSync(this._file, 'utf8')));
+            for (const [collectionPath, documents] of Object.entries(saved)) {
+                this._collections.set(collectionPath, new Map(Object.entries(documents)));
+            }
+        }
+    }
+
+    settings() {}
+
+    collection(collectionPath) {
+        return new CollectionReference(this, collectionPath);
+    }
+
+    doc(documentPath) {
+        const index = documentPath.lastIndexOf('/');
+        return new DocumentReference(this, documentPath.slice(0, index), documentPath.slice(index + 1));
+    }
+
+    batch() {
+        return new WriteBatch(this);
+    }
+
+    async getAll(...refs) {
+        return refs.map(ref => this._snapshot(ref));
+    }
+
+    async listCollections() {
+        return [...this._collections.keys()]
+            .filter(collectionPath => this._collections.get(collectionPath).size > 0)
+            .map(collectionPath => this.collection(collectionPath));
+    }
+
+    // Transactions are queued so each one sees a consistent view and its
+    // writes land together
+    runTransaction(updateFunction) {
+        const run = this._queue.then(async () => {
+            const transaction = new Transaction(this);
+            const result = await updateFunction(transaction);
+            await transaction._batch.commit();
+            return result;
+        });
+        this._queue = run.catch(() => {});
+        return run;
+    }
+
+    _documents(collectionPath) {
+        const documents = this._collections.get(collectionPath) || new Map();
+        return [...documents.entries()].map(([id, data]) => (
+            new DocumentSnapshot(new DocumentReference(this, collectionPath, id), data)
+        ));
+    }
+
+    _snapshot(ref) {
+        const documents = this._collections.get(ref.parent.path);
+        return new DocumentSnapshot(ref, documents ? documents.get(ref.id) : undefined);
+    }
+
+    // Validate every write first so a batch applies completely or not at all
+    _apply(writes) {
+        const current = ref => (this._collections.get(ref.parent.path) || new Map()).get(ref.id);
+
+        for (const write of writes) {
+            if (write.type === 'create' && current(write.ref) !== undefined) {
+                throw alreadyExists(write.ref.path);
+            }
+            if (write.type === 'update' && current(write.ref) === undefined) {
+                throw notFound(write.ref.path);
+            }
+        }
+
+        for (const { type, ref, data, merge } of writes) {
+            if (!this._collections.has(ref.parent.path)) {
+                this._collections.set(ref.parent.path, new Map());
+            }
+            const documents = this._collections.get(ref.parent.path);
+            const existing = documents.get(ref.id);
+
+            if (type === 'delete') {
+                documents.delete(ref.id);
+            } else if (type === 'update') {
+                documents.set(ref.id, updateFields(clone(existing), data));
+            } else if (type === 'set' && merge && existing !== undefined) {
+                documents.set(ref.id, mergeInto(clone(existing), data, true));
+            } else {
+                documents.set(ref.id, mergeInto({}, data));
+            }
+        }
+
+        this._save();
+    }
+
+    _save() {
+        if (!this._file) {
+            return;
+        }
+        const snapshot = {};
+        for (const [collectionPath, documents] of this._collections) {
+            snapshot[collectionPath] = encode(Object.fromEntries(documents));
+        }
+        fs.mkdirSync(path.dirname(this._file), { recursive: true });
+        // Write then rename so a crash never leaves a truncated file
+        const temporary = `${this._file}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(snapshot, null, 2));
+        fs.renameSync(temporary, this._file);
+    }
+}
+
+function createMemoryFirestore(options) {
+    return new MemoryFirestore(options);
+}
+
+module.exports = {
+    createMemoryFirestore
+};
@@ -0,0 +1,194 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { OUTBOX_COLLECTION } = require('./mail/queue');
+const { createRegistrationRepository } = require('./registration-repository');
+const { logger } = require('./logger');
+
+const WEBHOOK_EVENTS_COLLECTION = 'webhook_events';
+// Reject webhooks whose timestamp is more than five minutes off
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Resend event type -> delivery status stored on the job and registration
+const DELIVERY_STATUSES = {
+    'email.sent': 'sent',
+    'email.delivered': 'delivered',
+    'email.delivery_delayed': 'delayed',
+    'email.bounced': 'bounced',
+    'email.complained': 'complained',
+    'email.opened': 'opened',
+    'email.clicked': 'clicked'
+};
+
+// Later events never downgrade the status (an open after delivery stays
+// "opened", a bounce always wins)
+const STATUS_RANK = {
+    sent: 1,
+    delayed: 2,
+    delivered: 3,
+    opened: 4,
+    clicked: 5,
+    bounced: 6,
+    complained: 7
+};
+
+// Resend signs webhooks the Svix way: base64 HMAC-SHA256 over
+// "<svix-id>.<svix-timestamp>.<raw body>" keyed with the whsec_ secret
+function verifyResendSignature(headers, rawBody, secret, now = Date.now()) {
+    const id = headers['svix-id'];
+    const timestamp = headers['svix-timestamp'];
+    const signatures = headers['svix-signature'];
+
+    if (!id || !timestamp || !signatures) {
+        throw new HttpError(400, 'Invalid webhook', 'Missing signature headers');
+    }
+    if (!/^\d+$/.test(String(timestamp))) {
+        throw new HttpError(400, 'Invalid webhook', 'Webhook timestamp is not a number');
+    }
+    if (Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new HttpError(400, 'Invalid webhook', 'Webhook timestamp is outside the allowed window');
+    }
+
+    const key = Buffer.from(String(secret).replace(/^whsec_/, ''), 'base64');
+    const expected = crypto
+        .createHmac('sha256', key)
+        .update(`${id}.${timestamp}.${rawBody}`)
+        .digest();
+
+    const valid = String(signatures).split(' ').some(entry => {
+        const [version, signature] = entry.split(',');
+        if (version !== 'v1' || !signature) {
+            return false;
+        }
+        const received = Buffer.from(signature, 'base64');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+
+    if (!valid) {
+        throw new HttpError(401, 'Invalid webhook', 'Signature does not match');
+    }
+
+    return id;
+}
+
+// Hard bounces are permanent; transient ones may still succeed later
+function isHardBounce(event) {
+    const bounce = event.data && event.data.bounce;
+    return !bounce || !bounce.type || /permanent|hard/i.test(bounce.type);
+}
+
+function createDeliveryTracker(db, { suppressions }) {
+    const outboxRef = db.collection(OUTBOX_COLLECTION);
+    const registrations = createRegistrationRepository(db);
+    const eventsRef = db.collection(WEBHOOK_EVENTS_COLLECTION);
+
+    // Fields for the registration a delivery event belongs to
+    function registrationUpdateFor(job, status, registration, messageId) {
+        const update = {
+            lastEmailDeliveryStatus: status,
+            lastEmailDeliveryAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        const isConfirmation = job ?
+            job.kind === 'confirmation' :
+            registration.confirmationMessageId === messageId;
+
+        if (isConfirmation) {
+            update.confirmationDeliveryStatus = status;
+            if (status === 'bounced' || status === 'complained') {
+                update.confirmationEmailSent = false;
+                update.confirmationEmailStatus = status;
+            }
+        }
+
+        return update;
+    }
+
+    async function findRecords(messageId) {
+        const jobs = await outboxRef.where('providerMessageId', '==', messageId).limit(1).get();
+        const job = jobs.empty ? null : jobs.docs[0];
+
+        let registration = null;
+        if (job && job.get('registrationId')) {
+            const doc = await registrations.get(job.get('registrationId'));
+            registration = doc.exists ? doc : null;
+        } else {
+            registration = await registrations.findByMessageId(messageId);
+        }
+
+        return { job, registration };
+    }
+
+    // The webhook_events marker goes in once the event has been applied, so
+    // a failure part way leaves it out and Svix's retry applies the event
+    // again. Every update here can safely run twice.
+    async function markHandled(eventId, event) {
+        try {
+            await eventsRef.doc(String(eventId)).create({
+                type: event.type || null,
+                messageId: (event.data && event.data.email_id) || null,
+                receivedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            // gRPC ALREADY_EXISTS: an overlapping delivery finished first
+            if (error.code !== 6) {
+                throw error;
+            }
+        }
+    }
+
+    // Apply one verified webhook event. Returns false for duplicates.
+    async function handleEvent(eventId, event) {
+        if ((await eventsRef.doc(String(eventId)).get()).exists) {
+            return false;
+        }
+
+        await applyEvent(event);
+        await markHandled(eventId, event);
+        return true;
+    }
+
+    async function applyEvent(event) {
+        const status = DELIVERY_STATUSES[event.type];
+        const messageId = event.data && event.data.email_id;
+        if (!status || !messageId) {
+            return;
+        }
+
+        if (status === 'complained' || (status === 'bounced' && isHardBounce(event))) {
+            for (const recipient of event.data.to || []) {
+                await suppressions.suppress(recipient, status === 'bounced' ? 'bounce' : 'complaint', {
+                    messageId,
+                    detail: (event.data.bounce && event.data.bounce.message) || null
+                });
+            }
+        }
+
+        const { job, registration } = await findRecords(messageId);
+        const currentStatus = job ? job.get('deliveryStatus') : registration && registration.get('lastEmailDeliveryStatus');
+        const upgrade = (STATUS_RANK[status] || 0) >= (STATUS_RANK[currentStatus] || 0);
+        const at = event.created_at ? new Date(event.created_at) : new Date();
+
+        if (job) {
+            await job.ref.update({
+                ...(upgrade ? { deliveryStatus: status } : {}),
+                [`delivery.${status}At`]: admin.firestore.Timestamp.fromDate(at)
+            });
+        }
+        if (registration && upgrade) {
+            await registration.ref.update(registrationUpdateFor(job && job.data(), status, registration.data(), messageId));
+        }
+
+        if (!job && !registration) {
+            logger.warn('No email record matches webhook message', { providerMessageId: messageId });
+        }
+    }
+
+    return { handleEvent };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS_COLLECTION,
+    verifyResendSignature,
+    createDeliveryTracker
+};
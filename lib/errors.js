@@ -0,0 +1,21 @@
+// Error carrying the HTTP status and the `{ error, message }` body that the
+// routes send back to the client
+class HttpError extends Error {
+    constructor(status, error, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.error = error;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.error,
+            message: this.message,
+            ...(this.details ? { details: this.details } : {})
+        };
+    }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,298 @@
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+const { buildIcs } = require('./calendar');
+const { resolveLocale } = require('./mail/templates/locales');
+const { createRegistrationRepository } = require('./registration-repository');
+const { logger } = require('./logger');
+const { getConfig } = require('./config');
+
+const EXAM_SLOTS_COLLECTION = 'exam_slots';
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_POLL_INTERVAL_MS = 60000;
+
+function toDate(value, field) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+        throw new HttpError(400, 'Invalid exam slot', `${field} must be a valid date`);
+    }
+    return date;
+}
+
+function toIso(value) {
+    return value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value || null;
+}
+
+// Human-readable date and time window for emails, in the recipient's language
+function describeSlot(slot, timeZone = DEFAULT_TIMEZONE, locale) {
+    const start = new Date(slot.startsAt);
+    const end = new Date(slot.endsAt);
+    const language = `${resolveLocale(locale)}-IN`;
+    const dateFormat = new Intl.DateTimeFormat(language, { timeZone, dateStyle: 'long' });
+    const timeFormat = new Intl.DateTimeFormat(language, { timeZone, hour: '2-digit', minute: '2-digit' });
+    const zoneName = new Intl.DateTimeFormat(language, { timeZone, timeZoneName: 'short' })
+        .formatToParts(start)
+        .find(part => part.type === 'timeZoneName');
+
+    return {
+        examDate: dateFormat.format(start),
+        examWindow: `${timeFormat.format(start)} – ${timeFormat.format(end)}${zoneName ? ` ${zoneName.value}` : ''}`
+    };
+}
+
+function serializeSlot(doc) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        courseCode: data.courseCode || null,
+        startsAt: toIso(data.startsAt),
+        endsAt: toIso(data.endsAt),
+        testUrl: data.testUrl,
+        capacity: data.capacity,
+        assignedCount: data.assignedCount || 0,
+        linkSendAt: toIso(data.linkSendAt),
+        linksSentAt: toIso(data.linksSentAt)
+    };
+}
+
+function createExamScheduler(db, options = {}) {
+    const slotsRef = db.collection(EXAM_SLOTS_COLLECTION);
+    const registrations = createRegistrationRepository(db);
+    const lifecycle = options.lifecycle;
+    const { exams, mail } = getConfig();
+    // Calendar invites come from the same sender as the emails carrying them
+    const organizer = options.organizer || mail.from;
+    const timeZone = options.timeZone || exams.timeZone;
+    // New registrations are assigned to a slot within this many days
+    const windowDays = options.windowDays !== undefined ? options.windowDays : exams.windowDays;
+    // Exam links go out this long before the slot starts, on the exam day
+    const leadMinutes = options.linkLeadMinutes !== undefined ? options.linkLeadMinutes : exams.linkLeadMinutes;
+    const pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+
+    let timer = null;
+
+    // Normalize admin input into the stored slot shape
+    function parseSlotFields(input, existing = {}) {
+        const fields = {};
+
+        if (input.startsAt !== undefined || !existing.startsAt) {
+            fields.startsAt = toDate(input.startsAt, 'startsAt');
+        }
+        if (input.endsAt !== undefined || !existing.endsAt) {
+            fields.endsAt = toDate(input.endsAt, 'endsAt');
+        }
+        if (input.testUrl !== undefined || !existing.testUrl) {
+            if (!/^https?:\/\//.test(String(input.testUrl || ''))) {
+                throw new HttpError(400, 'Invalid exam slot', 'testUrl must be an http(s) URL');
+            }
+            fields.testUrl = String(input.testUrl);
+        }
+        if (input.capacity !== undefined || existing.capacity === undefined) {
+            const capacity = Number(input.capacity);
+            if (!Number.isInteger(capacity) || capacity < 1) {
+                throw new HttpError(400, 'Invalid exam slot', 'capacity must be a positive integer');
+            }
+            fields.capacity = capacity;
+        }
+        if (input.courseCode !== undefined) {
+            fields.courseCode = input.courseCode ? String(input.courseCode).trim().toLowerCase() : null;
+        }
+
+        const startsAt = fields.startsAt || existing.startsAt.toDate();
+        const endsAt = fields.endsAt || existing.endsAt.toDate();
+        if (endsAt <= startsAt) {
+            throw new HttpError(400, 'Invalid exam slot', 'endsAt must be after startsAt');
+        }
+
+        if (input.linkSendAt !== undefined || fields.startsAt) {
+            fields.linkSendAt = input.linkSendAt ?
+                toDate(input.linkSendAt, 'linkSendAt') :
+                new Date(startsAt.getTime() - leadMinutes * 60000);
+        }
+
+        for (const key of ['startsAt', 'endsAt', 'linkSendAt']) {
+            if (fields[key]) {
+                fields[key] = admin.firestore.Timestamp.fromDate(fields[key]);
+            }
+        }
+
+        // Only slots whose links have not gone out carry pendingLinkSendAt,
+        // which is what the dispatcher queries on
+        if (fields.linkSendAt && !existing.linksSentAt) {
+            fields.pendingLinkSendAt = fields.linkSendAt;
+        }
+
+        return fields;
+    }
+
+    async function listSlots({ from } = {}) {
+        let query = slotsRef.orderBy('startsAt');
+        if (from) {
+            query = query.where('startsAt', '>=', admin.firestore.Timestamp.fromDate(toDate(from, 'from')));
+        }
+        const snapshot = await query.get();
+        return snapshot.docs.map(serializeSlot);
+    }
+
+    async function getSlot(id) {
+        const doc = await slotsRef.doc(String(id)).get();
+        if (!doc.exists) {
+            throw new HttpError(404, 'Exam slot not found', `No exam slot with id "${id}"`);
+        }
+        return serializeSlot(doc);
+    }
+
+    async function createSlot(input) {
+        const slotRef = slotsRef.doc();
+        await slotRef.set({
+            courseCode: null,
+            ...parseSlotFields(input),
+            assignedCount: 0,
+            linksSentAt: null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return getSlot(slotRef.id);
+    }
+
+    async function updateSlot(id, input) {
+        const slotRef = slotsRef.doc(String(id));
+        const doc = await slotRef.get();
+        if (!doc.exists) {
+            throw new HttpError(404, 'Exam slot not found', `No exam slot with id "${id}"`);
+        }
+        await slotRef.update(parseSlotFields(input, doc.data()));
+        return getSlot(id);
+    }
+
+    async function deleteSlot(id) {
+        const slot = await getSlot(id);
+        if (slot.assignedCount > 0) {
+            throw new HttpError(409, 'Exam slot in use', 'Candidates are assigned to this slot; update it instead');
+        }
+        await slotsRef.doc(slot.id).delete();
+        return { deleted: true };
+    }
+
+    // Slots for the course that start within the exam window, earliest
+    // first. Read them again inside the registration transaction and pass
+    // the snapshots to pickSlot.
+    async function findSlotCandidates(courseCode, now = new Date()) {
+        const horizon = new Date(now.getTime() + windowDays * 24 * 60 * 60 * 1000);
+        const snapshot = await slotsRef
+            .where('startsAt', '>=', admin.firestore.Timestamp.fromDate(now))
+            .where('startsAt', '<=', admin.firestore.Timestamp.fromDate(horizon))
+            .orderBy('startsAt')
+            .get();
+
+        return snapshot.docs
+            .filter(doc => !doc.get('courseCode') || doc.get('courseCode') === courseCode)
+            .map(doc => doc.ref);
+    }
+
+    // First slot snapshot that still has a seat and has not had its links sent
+    function pickSlot(snapshots) {
+        const doc = snapshots.find(snapshot => {
+            const slot = snapshot.exists && snapshot.data();
+            return slot && !slot.linksSentAt && (slot.assignedCount || 0) < slot.capacity;
+        });
+        return doc ? serializeSlot(doc) : null;
+    }
+
+    // Calendar attachment for the confirmation email
+    function buildSlotAttachment(slot, registrationId) {
+        return {
+            filename: 'scholarship-exam.ics',
+            contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+            content: buildIcs({
+                uid: `${registrationId}-${slot.id}@edcatalyst.in`,
+                start: slot.startsAt,
+                end: slot.endsAt,
+                summary: 'EdCatalyst Online Scholarship Examination',
+                description: 'Your test link will be emailed to you on the day of the examination.',
+                organizer
+            })
+        };
+    }
+
+    // Send exam links for one slot to every candidate still waiting for it
+    async function dispatchSlot(slotId) {
+        const slotRef = slotsRef.doc(String(slotId));
+        const slot = await getSlot(slotId);
+        const candidates = await registrations.findBySlot(slot.id);
+        const results = [];
+
+        for (const doc of candidates) {
+            const status = doc.data().status || 'registered';
+            if (status !== 'registered') {
+                continue;
+            }
+            try {
+                const data = { examLink: slot.testUrl, ...describeSlot(slot, timeZone, doc.get('locale')) };
+                await lifecycle.transition(doc.id, 'exam_link_sent', { actor: 'exam-scheduler', data });
+                results.push({ id: doc.id, success: true });
+            } catch (error) {
+                logger.error('Failed to send exam link', { registrationId: doc.id, slotId: slot.id, error });
+                results.push({ id: doc.id, success: false, message: error.message });
+            }
+        }
+
+        // Leave the slot pending if anything failed so the next run retries it
+        if (results.every(result => result.success)) {
+            await slotRef.update({
+                linksSentAt: admin.firestore.FieldValue.serverTimestamp(),
+                pendingLinkSendAt: admin.firestore.FieldValue.delete()
+            });
+        }
+
+        return { slotId: slot.id, sent: results.filter(result => result.success).length, results };
+    }
+
+    // Dispatch every slot whose link send time has passed
+    async function dispatchDueLinks() {
+        try {
+            const snapshot = await slotsRef
+                .where('pendingLinkSendAt', '<=', admin.firestore.Timestamp.now())
+                .get();
+
+            for (const doc of snapshot.docs) {
+                const result = await dispatchSlot(doc.id);
+                logger.info('Exam links dispatched', { slotId: doc.id, sent: result.sent });
+            }
+        } catch (error) {
+            logger.error('Exam link dispatch failed', { error });
+        }
+    }
+
+    return {
+        describeSlot: (slot, locale) => describeSlot(slot, timeZone, locale),
+        listSlots,
+        getSlot,
+        createSlot,
+        updateSlot,
+        deleteSlot,
+        findSlotCandidates,
+        pickSlot,
+        buildSlotAttachment,
+        dispatchSlot,
+        dispatchDueLinks,
+
+        start() {
+            if (timer) {
+                return;
+            }
+            dispatchDueLinks();
+            timer = setInterval(dispatchDueLinks, pollIntervalMs);
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    EXAM_SLOTS_COLLECTION,
+    describeSlot,
+    createExamScheduler
+};
@@ -0,0 +1,595 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { renderEmail } = require('./mail/templates');
+const { resolveLocale, normalizeLocale } = require('./mail/templates/locales');
+const { enqueueEmail } = require('./mail/queue');
+const { createRegistrationRepository } = require('./registration-repository');
+const { SETTINGS_COLLECTION } = require('./scholarships');
+const { normalizeEmail } = require('./suppressions');
+const { buildInvoicePdf } = require('./invoice');
+const { logger } = require('./logger');
+const { getConfig } = require('./config');
+
+const PAYMENTS_COLLECTION = 'payments';
+// settings/invoices holds the invoice number sequence
+const INVOICE_COUNTER_DOC = 'invoices';
+
+// created -> paid, or created -> held when the provider captured a
+// different amount or currency than the order asked for; a coordinator
+// sorts those out by hand. A failed attempt is only counted on the order,
+// which stays open for the applicant to try again. created -> cancelled
+// when a new order replaces it; a capture on a cancelled order, or on any
+// order once the registration is paid, is held as well.
+const PAYMENT_STATUSES = ['created', 'paid', 'held', 'cancelled'];
+// Fees are collected once a candidate is selected
+const PAYABLE_STATUS = 'selected';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// How long one webhook delivery may take to send the receipt before an
+// overlapping or later delivery takes over
+const RECEIPT_CLAIM_MS = 10 * 60 * 1000;
+
+let fallbackSecret;
+
+// PAYMENT_LINK_SECRET, or outside production a per-process secret whose
+// links stop working after a restart
+function signingSecret() {
+    const { payments } = getConfig();
+    if (payments.linkSecret) {
+        return payments.linkSecret;
+    }
+    if (!fallbackSecret) {
+        fallbackSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('PAYMENT_LINK_SECRET is not set; payment links only work until the server restarts');
+    }
+    return fallbackSecret;
+}
+
+function signPayload(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(`payment:${payload}`).digest('base64url');
+}
+
+// Payment links carry the registration id and an expiry, signed, so only
+// the applicant the link was emailed to can open an order for it
+function paymentToken(registrationId, expiresAt, secret = signingSecret()) {
+    const payload = Buffer.from(JSON.stringify({ r: registrationId, e: expiresAt })).toString('base64url');
+    return `${payload}.${signPayload(payload, secret)}`;
+}
+
+// Registration id from a payment link token
+function verifyPaymentToken(token, { now = Date.now(), secret = signingSecret() } = {}) {
+    const invalid = new HttpError(404, 'Link not found', 'This payment link is not valid. Please request a new one.');
+    const [payload, signature, extra] = String(token || '').split('.');
+    if (!payload || !signature || extra !== undefined) {
+        throw invalid;
+    }
+
+    const expected = Buffer.from(signPayload(payload, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw invalid;
+    }
+
+    const { r: registrationId, e: expiresAt } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!(expiresAt > now)) {
+        throw new HttpError(410, 'Link expired', 'This payment link has expired. Please request a new one.');
+    }
+    return registrationId;
+}
+
+function plain(value) {
+    if (value && typeof value.toDate === 'function') {
+        return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(plain);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, plain(entry)]));
+    }
+    return value;
+}
+
+function serializePayment(doc) {
+    return { id: doc.id, ...plain(doc.data()) };
+}
+
+// What the applicant's browser needs to pay; no personal details and no
+// scholarship tier
+function publicOrder(payment) {
+    return {
+        orderId: payment.orderId,
+        provider: payment.provider,
+        currency: payment.currency,
+        baseAmount: payment.baseAmount,
+        discount: payment.discount,
+        amount: payment.amount,
+        checkout: payment.checkout
+    };
+}
+
+// What a registration owes for its course: the fee plan less the
+// scholarship discount from the exam results. Amounts are in minor units.
+function quoteFee(registration, course) {
+    if (!course || !course.fee) {
+        throw new HttpError(409, 'No fee plan', `${registration.course || 'This course'} has no fee plan yet. Please contact us.`);
+    }
+
+    const baseAmount = Math.round(course.fee.amount * 100);
+    const discountPercent = registration.scholarshipDiscountPercent || 0;
+    const discount = Math.round(baseAmount * discountPercent / 100);
+
+    return {
+        currency: course.fee.currency,
+        baseAmount,
+        scholarshipTier: registration.scholarshipTier || null,
+        discountPercent,
+        discount,
+        amount: baseAmount - discount
+    };
+}
+
+// "₹12,500.00" in the applicant's language
+function formatAmount(amount, currency, locale) {
+    return new Intl.NumberFormat(`${resolveLocale(locale)}-IN`, { style: 'currency', currency }).format(amount / 100);
+}
+
+function createFeeDesk(db, { provider, courseCatalog, lifecycle, onQueued = () => {} }) {
+    const paymentsRef = db.collection(PAYMENTS_COLLECTION);
+    const counterRef = db.collection(SETTINGS_COLLECTION).doc(INVOICE_COUNTER_DOC);
+    const registrations = createRegistrationRepository(db);
+    const { mail, payments } = getConfig();
+    const baseUrl = getConfig().publicUrl;
+    const log = logger.child({ component: 'fees', provider: provider.name });
+
+    // Registrations stored before addresses were lowercased keep the case
+    // they were typed in, so look up both forms
+    async function findRegistration(email, courseCode) {
+        const addresses = [...new Set([normalizeEmail(email), String(email).trim()])];
+        const docs = await registrations.findByEmails(addresses);
+        return docs.find(candidate => candidate.get('courseCode') === courseCode) || null;
+    }
+
+    // What the registration owes now, or why it cannot pay
+    async function payableQuote(registration) {
+        if (registration.paymentStatus === 'paid' || registration.status === 'fee_paid' || registration.status === 'enrolled') {
+            throw new HttpError(409, 'Already paid', 'The fee for this registration has already been paid');
+        }
+        if (registration.paymentStatus === 'held') {
+            throw new HttpError(409, 'Payment under review', 'We are checking a payment you already made. Our team will contact you.');
+        }
+        if (registration.status !== PAYABLE_STATUS) {
+            throw new HttpError(409, 'Payment not open', 'The fee can be paid once you have been selected for the internship');
+        }
+
+        const quote = quoteFee(registration, await courseCatalog.getCourse(registration.courseCode));
+        if (quote.amount <= 0) {
+            throw new HttpError(409, 'Nothing to pay', 'Your scholarship covers the whole fee. Our team will complete your enrollment.');
+        }
+        return quote;
+    }
+
+    // Email a signed payment link when the address has a registration for
+    // the course with a fee due. Callers answer the same way either way, so
+    // the public form cannot tell who applied, was selected or has paid.
+    async function requestPaymentLink({ email, course: courseCode, locale }) {
+        const doc = await findRegistration(email, courseCode);
+        let quote;
+        try {
+            if (!doc) {
+                throw new HttpError(404, 'Registration not found', 'No registration matches this email address and course');
+            }
+            quote = await payableQuote(doc.data());
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                throw error;
+            }
+            log.info('Payment link not sent', { email: normalizeEmail(email), course: courseCode, reason: error.error });
+            return { sent: false };
+        }
+
+        const registration = doc.data();
+        const preferred = normalizeLocale(locale) || registration.locale || null;
+        const token = paymentToken(doc.id, Date.now() + payments.linkTtlHours * 60 * 60 * 1000);
+
+        const jobRef = await enqueueEmail(db, {
+            from: mail.from,
+            to: [registration.email],
+            ...renderEmail('paymentLink', {
+                name: registration.name,
+                courseName: registration.course,
+                amount: formatAmount(quote.amount, quote.currency, preferred),
+                link: `${baseUrl}/api/payments/checkout/${token}`,
+                expiresInHours: payments.linkTtlHours
+            }, { locale: preferred }),
+            replyTo: mail.replyTo
+        }, { kind: 'paymentLink', template: 'paymentLink', registrationId: doc.id });
+        onQueued(jobRef.id);
+
+        log.info('Payment link queued', { registrationId: doc.id, jobId: jobRef.id });
+        return { sent: true, jobId: jobRef.id };
+    }
+
+    async function registrationForToken(token) {
+        const doc = await registrations.get(verifyPaymentToken(token));
+        if (!doc.exists) {
+            throw new HttpError(404, 'Link not found', 'This payment link is not valid. Please request a new one.');
+        }
+        return doc;
+    }
+
+    // The fee behind a payment link, for the page it opens
+    async function describeCheckout(token) {
+        const registration = (await registrationForToken(token)).data();
+        const quote = await payableQuote(registration);
+        const format = amount => formatAmount(amount, quote.currency, registration.locale);
+
+        return {
+            name: registration.name,
+            courseName: registration.course,
+            currency: quote.currency,
+            baseAmount: format(quote.baseAmount),
+            discount: quote.discount > 0 ? format(quote.discount) : null,
+            amount: format(quote.amount)
+        };
+    }
+
+    // Open a payment order for the link's registration, or return the open
+    // one if nothing changed since (e.g. the payment page was reloaded).
+    // A new order cancels the ones it replaces so only one can be paid.
+    async function createOrder(token) {
+        const doc = await registrationForToken(token);
+        const registration = doc.data();
+        const quote = await payableQuote(registration);
+
+        const open = await paymentsRef
+            .where('registrationId', '==', doc.id)
+            .where('status', '==', 'created')
+            .get();
+        const existing = open.docs.find(payment => payment.get('provider') === provider.name &&
+            payment.get('amount') === quote.amount && payment.get('currency') === quote.currency);
+        if (existing) {
+            return publicOrder(existing.data());
+        }
+
+        const order = await provider.createOrder({
+            amount: quote.amount,
+            currency: quote.currency,
+            receipt: doc.id.slice(0, 40),
+            notes: { registrationId: doc.id, course: registration.courseCode }
+        });
+
+        const payment = {
+            registrationId: doc.id,
+            email: registration.email,
+            name: registration.name,
+            course: registration.course,
+            courseCode: registration.courseCode,
+            ...quote,
+            provider: provider.name,
+            orderId: order.id,
+            checkout: order.checkout,
+            status: 'created',
+            paymentId: null,
+            invoiceNumber: null,
+            failedAttempts: 0,
+            lastError: null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        const batch = db.batch();
+        batch.set(paymentsRef.doc(order.id), payment);
+        open.docs.forEach(replaced => batch.update(replaced.ref, {
+            status: 'cancelled',
+            replacedBy: order.id,
+            cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }));
+        await batch.commit();
+
+        log.info('Payment order created', {
+            registrationId: doc.id,
+            orderId: order.id,
+            amount: quote.amount,
+            currency: quote.currency,
+            replaced: open.docs.map(replaced => replaced.id)
+        });
+
+        return publicOrder(payment);
+    }
+
+    function invoiceFor(payment) {
+        const items = [{ description: `${payment.course} - enrollment fee`, amount: payment.baseAmount }];
+        if (payment.discount > 0) {
+            const tier = payment.scholarshipTier ? `${payment.scholarshipTier}, ` : '';
+            items.push({ description: `Scholarship discount (${tier}${payment.discountPercent}%)`, amount: -payment.discount });
+        }
+
+        return {
+            filename: `invoice-${payment.invoiceNumber}.pdf`,
+            contentType: 'application/pdf',
+            content: buildInvoicePdf({
+                number: payment.invoiceNumber,
+                issuedAt: payment.paidAt && typeof payment.paidAt.toDate === 'function' ? payment.paidAt.toDate() : new Date(),
+                issuer: {
+                    name: payments.invoice.issuerName,
+                    address: payments.invoice.issuerAddress,
+                    taxId: payments.invoice.taxId
+                },
+                billTo: { name: payment.name, email: payment.email },
+                currency: payment.currency,
+                items,
+                total: payment.amountPaid,
+                paymentId: payment.paymentId
+            })
+        };
+    }
+
+    // Receipt with the invoice attached. Normally this is the fee_paid status
+    // email; if the registration has already moved on (say a coordinator
+    // marked it paid by hand) the receipt goes out on its own.
+    async function sendReceipt(payment) {
+        const registrationDoc = await registrations.get(payment.registrationId);
+        const locale = registrationDoc.exists ? registrationDoc.get('locale') : null;
+        const attachments = [invoiceFor(payment)];
+        const data = {
+            amount: formatAmount(payment.amountPaid, payment.currency, locale),
+            invoiceNumber: payment.invoiceNumber,
+            paymentId: payment.paymentId
+        };
+
+        try {
+            const result = await lifecycle.transition(payment.registrationId, 'fee_paid', {
+                actor: `payments:${payment.provider}`,
+                note: `Paid online (${payment.paymentId})`,
+                data,
+                attachments
+            });
+            return result.jobId;
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                throw error;
+            }
+        }
+
+        const jobRef = await enqueueEmail(db, {
+            from: mail.from,
+            to: [payment.email],
+            ...renderEmail('feeReceived', { ...data, name: payment.name, courseName: payment.course }, { locale }),
+            replyTo: mail.replyTo,
+            attachments
+        }, { kind: 'receipt', template: 'feeReceived', registrationId: registrationDoc.exists ? payment.registrationId : null });
+        onQueued(jobRef.id);
+        return jobRef.id;
+    }
+
+    // Whether a delivery may send the receipt: nobody has, and nobody is
+    // (a claim older than RECEIPT_CLAIM_MS belongs to a delivery that died)
+    function receiptOpen(payment, now) {
+        return !payment.receiptJobId &&
+            (!payment.receiptClaimedAt || payment.receiptClaimedAt.toMillis() + RECEIPT_CLAIM_MS <= now.toMillis());
+    }
+
+    // Mark the order paid, number its invoice, flag the registration and
+    // claim the receipt, in one transaction so overlapping or redelivered
+    // webhooks (Razorpay sends both payment.captured and order.paid) record
+    // the payment once and only one of them sends the receipt. A capture
+    // that does not match the order, is for a cancelled order or comes
+    // after the registration was paid is held for review instead.
+    async function recordPayment(event) {
+        const paymentRef = paymentsRef.doc(String(event.orderId));
+
+        return db.runTransaction(async (transaction) => {
+            const [paymentDoc, counterDoc] = await transaction.getAll(paymentRef, counterRef);
+            if (!paymentDoc.exists) {
+                return null;
+            }
+
+            const payment = paymentDoc.data();
+            const now = admin.firestore.Timestamp.now();
+
+            if (payment.status === 'held') {
+                return { payment, outcome: 'held', duplicate: true };
+            }
+            if (payment.status === 'paid') {
+                if (!receiptOpen(payment, now)) {
+                    return { payment, outcome: 'paid', duplicate: true, sendReceipt: false };
+                }
+                transaction.update(paymentRef, { receiptClaimedAt: now });
+                return { payment, outcome: 'paid', duplicate: true, sendReceipt: true };
+            }
+
+            const registrationRef = registrations.ref(payment.registrationId);
+            const registrationDoc = await transaction.get(registrationRef);
+            const alreadyPaid = registrationDoc.exists && registrationDoc.get('paymentStatus') === 'paid';
+
+            const heldReason = alreadyPaid ? 'already paid' :
+                payment.status === 'cancelled' ? 'order replaced' :
+                    event.amount !== payment.amount || event.currency !== payment.currency ? 'amount mismatch' :
+                        null;
+            if (heldReason) {
+                transaction.update(paymentRef, {
+                    status: 'held',
+                    heldReason,
+                    paymentId: event.paymentId,
+                    amountReceived: event.amount,
+                    currencyReceived: event.currency,
+                    heldAt: now,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                // A paid registration keeps its invoice; the extra capture
+                // is only flagged on its own order
+                if (registrationDoc.exists && !alreadyPaid) {
+                    transaction.update(registrationRef, { paymentStatus: 'held', paymentOrderId: paymentRef.id });
+                }
+                return { payment, outcome: 'held', duplicate: false, heldReason };
+            }
+
+            const year = new Date().getUTCFullYear();
+            const counter = counterDoc.exists ? counterDoc.data() : {};
+            const sequence = counter.year === year ? counter.next : 1;
+            const invoiceNumber = `${payments.invoice.prefix}-${year}-${String(sequence).padStart(5, '0')}`;
+
+            const paid = {
+                status: 'paid',
+                paymentId: event.paymentId,
+                amountPaid: event.amount,
+                invoiceNumber,
+                paidAt: now,
+                receiptClaimedAt: now,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            transaction.set(counterRef, { year, next: sequence + 1 });
+            transaction.update(paymentRef, paid);
+            if (registrationDoc.exists) {
+                transaction.update(registrationRef, {
+                    paymentStatus: 'paid',
+                    paymentOrderId: paymentRef.id,
+                    invoiceNumber,
+                    amountPaid: event.amount,
+                    feePaidAt: paid.paidAt
+                });
+            }
+
+            return { payment: { ...payment, ...paid }, outcome: 'paid', duplicate: false, sendReceipt: true };
+        });
+    }
+
+    // Apply a webhook from the provider. Returns what happened, for the
+    // response body; unknown orders are logged and acknowledged so the
+    // provider stops retrying.
+    async function handleWebhook(headers, rawBody) {
+        const event = provider.parseWebhook(headers, rawBody);
+        if (!event.type || !event.orderId) {
+            return { handled: false };
+        }
+
+        const paymentRef = paymentsRef.doc(String(event.orderId));
+
+        if (event.type === 'failed') {
+            const doc = await paymentRef.get();
+            if (doc.exists && doc.get('status') === 'created') {
+                await paymentRef.update({
+                    failedAttempts: admin.firestore.FieldValue.increment(1),
+                    lastError: event.error,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+            log.warn('Payment attempt failed', { orderId: event.orderId, paymentId: event.paymentId, error: event.error });
+            return { handled: doc.exists };
+        }
+
+        const result = await recordPayment(event);
+        if (!result) {
+            log.warn('No payment order matches webhook', { orderId: event.orderId, paymentId: event.paymentId });
+            return { handled: false };
+        }
+
+        const { payment, outcome, duplicate, heldReason, sendReceipt: claimed } = result;
+        if (outcome === 'held') {
+            if (!duplicate) {
+                log.error('Payment held for review', {
+                    orderId: event.orderId,
+                    registrationId: payment.registrationId,
+                    reason: heldReason,
+                    expected: `${payment.amount} ${payment.currency}`,
+                    received: `${event.amount} ${event.currency}`
+                });
+            }
+            return { handled: true, duplicate, held: true };
+        }
+        if (!claimed) {
+            return { handled: true, duplicate };
+        }
+
+        let receiptJobId;
+        try {
+            receiptJobId = await sendReceipt(payment);
+        } catch (error) {
+            // Release the claim so the provider's retry sends the receipt
+            await paymentRef.update({ receiptClaimedAt: admin.firestore.FieldValue.delete() }).catch(releaseError => {
+                log.error('Failed to release receipt claim', { orderId: event.orderId, error: releaseError });
+            });
+            throw error;
+        }
+        await paymentRef.update({ receiptJobId });
+        log.info('Payment recorded', { orderId: event.orderId, registrationId: payment.registrationId, invoiceNumber: payment.invoiceNumber, receiptJobId });
+
+        return { handled: true, duplicate };
+    }
+
+    // Pay an order through the fake provider's signed webhook
+    async function simulatePayment(orderId) {
+        if (typeof provider.simulatePayment !== 'function') {
+            throw new HttpError(404, 'Not found', 'Simulated payments need PAYMENT_PROVIDER=fake');
+        }
+        const doc = await paymentsRef.doc(String(orderId)).get();
+        if (!doc.exists) {
+            throw new HttpError(404, 'Order not found', `No payment order "${orderId}"`);
+        }
+        const { headers, body } = provider.simulatePayment(doc.data());
+        return handleWebhook(headers, body);
+    }
+
+    async function findPayment(id) {
+        const doc = await paymentsRef.doc(String(id)).get();
+        if (!doc.exists) {
+            throw new HttpError(404, 'Payment not found', `No payment with id "${id}"`);
+        }
+        return doc;
+    }
+
+    async function getPayment(id) {
+        return serializePayment(await findPayment(id));
+    }
+
+    // Newest first, optionally for one registration or status
+    async function listPayments({ registrationId, status, limit } = {}) {
+        if (status && !PAYMENT_STATUSES.includes(status)) {
+            throw new HttpError(400, 'Invalid status', `status must be one of: ${PAYMENT_STATUSES.join(', ')}`);
+        }
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        let query = paymentsRef;
+        if (registrationId) {
+            query = query.where('registrationId', '==', String(registrationId));
+        }
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+
+        const snapshot = await query.orderBy('createdAt', 'desc').limit(pageSize).get();
+        return snapshot.docs.map(serializePayment);
+    }
+
+    // The invoice PDF again, for coordinators
+    async function getInvoice(id) {
+        const doc = await findPayment(id);
+        if (doc.get('status') !== 'paid') {
+            throw new HttpError(409, 'Not paid', 'Invoices are issued once the payment is received');
+        }
+        return invoiceFor(doc.data());
+    }
+
+    return {
+        requestPaymentLink,
+        describeCheckout,
+        createOrder,
+        handleWebhook,
+        simulatePayment,
+        listPayments,
+        getPayment,
+        getInvoice
+    };
+}
+
+module.exports = {
+    PAYMENTS_COLLECTION,
+    PAYMENT_STATUSES,
+    quoteFee,
+    paymentToken,
+    verifyPaymentToken,
+    createFeeDesk
+};
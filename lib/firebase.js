@@ -0,0 +1,41 @@
+const admin = require('firebase-admin');
+const https = require('https');
+const { logger } = require('./logger');
+const { getConfig } = require('./config');
+
+let db;
+
+// Initialize Firebase Admin and Firestore once per process. Serverless
+// handlers call this on every invocation, so it must be idempotent.
+function initFirebase(config = getConfig()) {
+    if (db) {
+        return db;
+    }
+
+    const { projectId, clientEmail, privateKey } = config.firebase;
+
+    if (admin.apps.length === 0) {
+        // Initialize with the validated credentials and TLS settings
+        admin.initializeApp({
+            credential: admin.credential.cert({ projectId, clientEmail, privateKey }),
+            projectId,
+            databaseURL: `https://${projectId}.firebaseio.com`,
+            httpAgent: new https.Agent({ ...config.tls })
+        });
+
+        logger.info('Firebase Admin SDK initialized', { apps: admin.apps.map(app => app.name) });
+    }
+
+    // Initialize Firestore with explicit settings and TLS configuration
+    db = admin.firestore();
+    db.settings({
+        ignoreUndefinedProperties: true,
+        projectId,
+        ssl: true,
+        httpAgent: new https.Agent({ ...config.tls })
+    });
+
+    return db;
+}
+
+module.exports = { initFirebase };
@@ -0,0 +1,204 @@
+const schemas = require('./schemas');
+const { validateBody } = require('./validation');
+const { rateLimit, clientIp } = require('./rate-limit');
+const { requireCaptcha } = require('./captcha');
+const honeypot = require('./honeypot');
+const { logger } = require('./logger');
+
+const MINUTE = 60 * 1000;
+
+// Handlers for the public forms. They take validated input and return
+// { status, body }, leaving the HTTP plumbing to the Express routes and the
+// serverless adapters.
+
+// Abuse protection and validation shared by every public form: honeypot,
+// sliding-window rate limits per IP and per email, and CAPTCHA
+function formGuards(services, { name, schema, emailField, perIp, perEmail }) {
+    const store = services.rateLimitStore;
+    return [
+        honeypot(),
+        // Before the CAPTCHA so a flood from one address costs no siteverify calls
+        rateLimit({ store, name: `${name}-ip`, ...perIp, keyFor: clientIp }),
+        requireCaptcha(services.captchaVerifier),
+        validateBody(schema),
+        rateLimit({ store, name: `${name}-email`, ...perEmail, keyFor: req => req.body[emailField].toLowerCase() })
+    ];
+}
+
+function createFormGuards(services) {
+    return {
+        contactForm: formGuards(services, {
+            name: 'contact',
+            schema: schemas.contactForm,
+            emailField: 'from',
+            perIp: { limit: 5, windowMs: 10 * MINUTE },
+            perEmail: { limit: 3, windowMs: 60 * MINUTE }
+        }),
+        registration: formGuards(services, {
+            name: 'registration',
+            schema: schemas.registration,
+            emailField: 'email',
+            perIp: { limit: 10, windowMs: 60 * MINUTE },
+            perEmail: { limit: 5, windowMs: 60 * MINUTE }
+        }),
+        paymentLink: formGuards(services, {
+            name: 'payment-link',
+            schema: schemas.paymentLink,
+            emailField: 'email',
+            perIp: { limit: 10, windowMs: 60 * MINUTE },
+            perEmail: { limit: 5, windowMs: 60 * MINUTE }
+        }),
+        privacyRequest: formGuards(services, {
+            name: 'privacy',
+            schema: schemas.privacyRequest,
+            emailField: 'email',
+            perIp: { limit: 5, windowMs: 60 * MINUTE },
+            perEmail: { limit: 3, windowMs: 60 * MINUTE }
+        })
+    };
+}
+
+// Contact form: the ticket is saved before the notification email is queued
+async function submitContactForm(services, { from, name, subject, message, locale }) {
+    const ticket = await services.ticketDesk.createTicket({ from, name, subject, message, locale });
+
+    logger.info('Contact form submission stored', { email: from, ticketId: ticket.id, jobId: ticket.jobId });
+
+    return {
+        status: 202,
+        body: {
+            success: true,
+            message: 'Message received',
+            ticketId: ticket.id,
+            jobId: ticket.jobId
+        }
+    };
+}
+
+// Registration: one registration per email + course, confirmation queued
+async function submitRegistration(services, { name, email, course, locale }) {
+    const result = await services.registrationService.register({ name, email, course, locale });
+
+    logger.info('Registration processed', {
+        email,
+        course,
+        outcome: result.outcome,
+        registrationId: result.registrationId,
+        jobId: result.jobId
+    });
+
+    switch (result.outcome) {
+    case 'alreadySent':
+        return {
+            status: 200,
+            body: {
+                success: true,
+                message: 'Confirmation email was already sent for this course',
+                alreadySent: true,
+                registrationId: result.registrationId
+            }
+        };
+    case 'tooManyAttempts':
+        return {
+            status: 429,
+            body: {
+                error: 'Too many attempts',
+                message: 'Maximum number of email attempts reached. Please contact support.'
+            }
+        };
+    case 'alreadyQueued':
+        return {
+            status: 202,
+            body: {
+                success: true,
+                message: 'Confirmation email is already queued for this course',
+                queued: true,
+                registrationId: result.registrationId,
+                jobId: result.jobId
+            }
+        };
+    default:
+        return {
+            status: 202,
+            body: {
+                success: true,
+                message: 'Confirmation email queued',
+                queued: true,
+                registrationId: result.registrationId,
+                jobId: result.jobId
+            }
+        };
+    }
+}
+
+// Fee payment: emails a signed payment link when a fee is due. Same answer
+// whatever the registration's state, so the form cannot tell who applied,
+// was selected or has paid.
+async function submitPaymentLink(services, { email, course, locale }) {
+    await services.feeDesk.requestPaymentLink({ email, course, locale });
+
+    return {
+        status: 202,
+        body: {
+            success: true,
+            message: 'If a fee is due for this registration, we have emailed a payment link'
+        }
+    };
+}
+
+// Data access and erasure: the same answer whether or not we hold anything
+// for the address, so the form cannot be used to look applicants up
+async function submitPrivacyRequest(services, { email, locale }) {
+    await services.privacyDesk.requestAccess({ email, locale });
+
+    return {
+        status: 202,
+        body: {
+            success: true,
+            message: 'If we hold data for this address, we have emailed it a link to download or erase it'
+        }
+    };
+}
+
+// Response for failures the handlers did not anticipate
+function failureResponse(error, { action, message }) {
+    logger.error(`Failed to ${action}`, { error });
+
+    return {
+        status: 500,
+        body: {
+            error: `Failed to ${action}`,
+            message,
+            details: error.message
+        }
+    };
+}
+
+const FORMS = {
+    contactForm: {
+        submit: submitContactForm,
+        failure: { action: 'save message', message: 'There was an error sending your message. Please try again later.' }
+    },
+    registration: {
+        submit: submitRegistration,
+        failure: { action: 'queue confirmation email', message: 'There was an error sending the confirmation email. Please try again later.' }
+    },
+    paymentLink: {
+        submit: submitPaymentLink,
+        failure: { action: 'send payment link', message: 'There was an error processing your request. Please try again later.' }
+    },
+    privacyRequest: {
+        submit: submitPrivacyRequest,
+        failure: { action: 'process privacy request', message: 'There was an error processing your request. Please try again later.' }
+    }
+};
+
+module.exports = {
+    FORMS,
+    createFormGuards,
+    submitContactForm,
+    submitRegistration,
+    submitPaymentLink,
+    submitPrivacyRequest,
+    failureResponse
+};
@@ -0,0 +1,58 @@
+const { getConfig } = require('./config');
+
+const startedAt = Date.now();
+
+// Reject if `promise` takes longer than `ms`
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Liveness says the process is up; readiness says it can serve traffic,
+// i.e. Firestore answers in time and a mail transport is configured.
+function createHealthChecks({ db, transport, timeoutMs }) {
+    const checkTimeoutMs = timeoutMs || getConfig().health.timeoutMs;
+
+    async function checkFirestore() {
+        const checkStartedAt = Date.now();
+        try {
+            // Reading a missing document still needs a round trip to Firestore
+            await withTimeout(
+                db.collection('_health').doc('readyz').get(),
+                checkTimeoutMs,
+                `Firestore did not respond within ${checkTimeoutMs}ms`
+            );
+            return { ok: true, latencyMs: Date.now() - checkStartedAt };
+        } catch (error) {
+            return { ok: false, latencyMs: Date.now() - checkStartedAt, error: error.message };
+        }
+    }
+
+    function liveness() {
+        return {
+            status: 'ok',
+            uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+        };
+    }
+
+    async function readiness() {
+        const checks = {
+            firestore: await checkFirestore(),
+            mailTransport: transport ? { ok: true, transport: transport.name } : { ok: false, error: 'No mail transport configured' }
+        };
+        const ready = Object.values(checks).every(check => check.ok);
+
+        return {
+            ready,
+            status: ready ? 'ok' : 'unavailable',
+            checks
+        };
+    }
+
+    return { liveness, readiness };
+}
+
+module.exports = { createHealthChecks };
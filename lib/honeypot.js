@@ -0,0 +1,20 @@
+const { logger } = require('./logger');
+const { getConfig } = require('./config');
+
+// Hidden form field that people never fill in but naive bots do. Bots get
+// the same 202 a real submission would, so they have nothing to adapt to.
+function honeypot(field = getConfig().abuse.honeypotField) {
+    return (req, res, next) => {
+        const value = req.body && req.body[field];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            logger.warn('Honeypot field filled; dropping submission', { path: req.url.split('?')[0] });
+            return res.status(202).json({
+                success: true,
+                message: 'Message received'
+            });
+        }
+        next();
+    };
+}
+
+module.exports = honeypot;
@@ -0,0 +1,164 @@
+// Invoice PDFs for fee payments: one A4 page of text in the standard
+// Helvetica fonts, so no PDF library is needed. Those fonts only cover
+// Latin-1; other characters (e.g. names in Devanagari) print as "?".
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const DESCRIPTION_CHARS = 60;
+
+// Helvetica advance widths (per 1000 units) for the characters in amounts;
+// anything else is measured as a digit
+const AMOUNT_WIDTHS = { ',': 278, '.': 278, '-': 333, ' ': 278 };
+
+function escapeText(value) {
+    return String(value)
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+        .replace(/[\\()]/g, '\\$&');
+}
+
+function amountWidth(text, size) {
+    return [...text].reduce((width, char) => width + (AMOUNT_WIDTHS[char] || 556), 0) * size / 1000;
+}
+
+// 1250000 -> "12,500.00" (Indian digit grouping)
+function formatMinor(amount) {
+    return (amount / 100).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Kolkata' });
+}
+
+// Break text into lines of at most `width` characters at spaces
+function wrap(text, width) {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/)) {
+        if (line && line.length + word.length + 1 > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    lines.push(line);
+    return lines;
+}
+
+// Content stream drawing, top to bottom
+function createCanvas() {
+    const operations = [];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    return {
+        text(value, { x = MARGIN, size = 11, bold = false } = {}) {
+            operations.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${escapeText(value)}) Tj ET`);
+        },
+        amount(value, { size = 11, bold = false } = {}) {
+            this.text(value, { x: (RIGHT - amountWidth(value, size)).toFixed(2), size, bold });
+        },
+        rule() {
+            operations.push(`${MARGIN} ${y + 14} m ${RIGHT} ${y + 14} l S`);
+        },
+        down(lines = 1, leading = 16) {
+            y -= lines * leading;
+        },
+        toString() {
+            return operations.join('\n');
+        }
+    };
+}
+
+// Objects in order, numbered from 1, with the cross-reference table the
+// format needs (byte offsets of every object)
+function assemble(objects) {
+    let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = [];
+
+    objects.forEach((body, index) => {
+        offsets.push(Buffer.byteLength(pdf, 'latin1'));
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+// Build the invoice as a PDF Buffer. Amounts are in minor units (paise).
+function buildInvoicePdf({ number, issuedAt, issuer, billTo, currency, items, total, paymentId }) {
+    const page = createCanvas();
+
+    page.text('INVOICE', { size: 22, bold: true });
+    page.text(issuer.name, { x: 330, size: 12, bold: true });
+    const issuerLines = [
+        ...(issuer.address ? issuer.address.split(/\s*[;\n]\s*/) : []),
+        ...(issuer.taxId ? [`GSTIN: ${issuer.taxId}`] : [])
+    ];
+    for (const line of issuerLines) {
+        page.down();
+        page.text(line, { x: 330, size: 10 });
+    }
+
+    page.down(3);
+    page.text('Invoice number', { bold: true });
+    page.text(number, { x: 160 });
+    page.down();
+    page.text('Date', { bold: true });
+    page.text(formatDate(issuedAt), { x: 160 });
+    if (paymentId) {
+        page.down();
+        page.text('Payment ID', { bold: true });
+        page.text(paymentId, { x: 160 });
+    }
+
+    page.down(2);
+    page.text('Billed to', { bold: true });
+    page.down();
+    page.text(billTo.name);
+    page.down();
+    page.text(billTo.email);
+
+    page.down(3);
+    page.text('Description', { bold: true });
+    page.amount(`Amount (${currency})`, { bold: true });
+    page.down(1.5);
+    page.rule();
+
+    for (const item of items) {
+        const lines = wrap(item.description, DESCRIPTION_CHARS);
+        page.text(lines[0]);
+        page.amount(formatMinor(item.amount));
+        for (const line of lines.slice(1)) {
+            page.down();
+            page.text(line);
+        }
+        page.down(1.5);
+    }
+
+    page.rule();
+    page.text('Total paid', { bold: true });
+    page.amount(formatMinor(total), { bold: true });
+
+    page.down(4);
+    page.text('Thank you for your payment. This invoice was generated electronically and needs no signature.', { size: 9 });
+
+    const content = page.toString();
+
+    return assemble([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+        `<< /Title (${escapeText(`Invoice ${number}`)}) /Producer (${escapeText(issuer.name)}) >>`
+    ]);
+}
+
+module.exports = { buildInvoicePdf, formatMinor };
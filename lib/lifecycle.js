@@ -0,0 +1,174 @@
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+const { renderEmail } = require('./mail/templates');
+const { buildEmailJob, OUTBOX_COLLECTION } = require('./mail/queue');
+const { currentRequestId } = require('./logger');
+const { getConfig } = require('./config');
+const { REGISTRATIONS_COLLECTION, createRegistrationRepository } = require('./registration-repository');
+
+// registered -> exam_link_sent -> exam_taken -> shortlisted/rejected
+//   -> selected -> fee_paid -> enrolled
+// Candidates can be rejected at any point before they pay the fee.
+const TRANSITIONS = {
+    registered: ['exam_link_sent', 'rejected'],
+    exam_link_sent: ['exam_taken', 'rejected'],
+    exam_taken: ['shortlisted', 'rejected'],
+    shortlisted: ['selected', 'rejected'],
+    selected: ['fee_paid', 'rejected'],
+    fee_paid: ['enrolled'],
+    enrolled: [],
+    rejected: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+const INITIAL_STATUS = 'registered';
+
+// Email sent when a registration enters each status
+const STATUS_TEMPLATES = {
+    exam_link_sent: 'examLink',
+    exam_taken: 'examReceived',
+    shortlisted: 'shortlisted',
+    rejected: 'rejected',
+    selected: 'selection',
+    fee_paid: 'feeReceived',
+    enrolled: 'enrolled'
+};
+
+const MAX_BATCH_SIZE = 100;
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+// History entries live in an array, where server timestamps are not allowed
+function historyEntry(from, to, { actor, note } = {}) {
+    return {
+        from,
+        to,
+        at: admin.firestore.Timestamp.now(),
+        by: actor || null,
+        note: note || null,
+        requestId: currentRequestId()
+    };
+}
+
+function createLifecycle(db, options = {}) {
+    const registrations = createRegistrationRepository(db);
+    const { mail } = getConfig();
+    const sender = options.from || mail.from;
+    const replyTo = options.replyTo || mail.replyTo;
+    const onQueued = options.onQueued || (() => {});
+
+    // Move one registration to `to`, append to its history and queue the
+    // matching email, all in a single transaction. `attachments` go out with
+    // that email, e.g. the invoice with the fee receipt. `fields` are written
+    // to the registration only if the transition is allowed.
+    async function transition(registrationId, to, { actor, note, data = {}, fields = {}, sendEmail = true, attachments } = {}) {
+        if (!STATUSES.includes(to)) {
+            throw new HttpError(400, 'Invalid status', `Status must be one of: ${STATUSES.join(', ')}`);
+        }
+        if (to === 'exam_link_sent' && sendEmail && !data.examLink) {
+            throw new HttpError(400, 'Missing exam link', 'data.examLink is required to send the exam link email');
+        }
+
+        const registrationRef = registrations.ref(registrationId);
+
+        const result = await db.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(registrationRef);
+            if (!snapshot.exists) {
+                throw new HttpError(404, 'Registration not found', `No registration with id "${registrationId}"`);
+            }
+
+            const registration = snapshot.data();
+            const from = registration.status || INITIAL_STATUS;
+
+            if (!canTransition(from, to)) {
+                throw new HttpError(409, 'Invalid transition', `Cannot move a registration from "${from}" to "${to}"`);
+            }
+
+            const update = {
+                ...fields,
+                status: to,
+                statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                statusHistory: admin.firestore.FieldValue.arrayUnion(historyEntry(from, to, { actor, note }))
+            };
+
+            let jobId = null;
+            const templateName = STATUS_TEMPLATES[to];
+
+            if (sendEmail && templateName) {
+                const jobRef = db.collection(OUTBOX_COLLECTION).doc();
+                const message = {
+                    from: sender,
+                    to: [registration.email],
+                    ...renderEmail(templateName, {
+                        ...data,
+                        name: registration.name,
+                        courseName: registration.course
+                    }, { locale: registration.locale }),
+                    replyTo,
+                    attachments
+                };
+
+                transaction.set(jobRef, buildEmailJob(message, {
+                    kind: `status:${to}`,
+                    template: templateName,
+                    registrationId: registrationRef.id
+                }));
+                jobId = jobRef.id;
+                update.lastStatusEmailJobId = jobId;
+            }
+
+            transaction.update(registrationRef, update);
+
+            return { id: registrationRef.id, from, to, jobId };
+        });
+
+        if (result.jobId) {
+            onQueued(result.jobId);
+        }
+
+        return result;
+    }
+
+    // Apply the same transition to many registrations; each one succeeds or
+    // fails on its own
+    async function transitionMany(registrationIds, to, options) {
+        if (!Array.isArray(registrationIds) || registrationIds.length === 0) {
+            throw new HttpError(400, 'Missing registrations', 'Provide a non-empty array of registration ids');
+        }
+        if (registrationIds.length > MAX_BATCH_SIZE) {
+            throw new HttpError(400, 'Too many registrations', `At most ${MAX_BATCH_SIZE} registrations can be moved at once`);
+        }
+
+        const results = [];
+        for (const id of registrationIds) {
+            try {
+                results.push({ success: true, ...(await transition(id, to, options)) });
+            } catch (error) {
+                if (!(error instanceof HttpError)) {
+                    throw error;
+                }
+                results.push({ success: false, id, error: error.error, message: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    return {
+        transition,
+        transitionMany
+    };
+}
+
+module.exports = {
+    REGISTRATIONS_COLLECTION,
+    STATUSES,
+    INITIAL_STATUS,
+    TRANSITIONS,
+    STATUS_TEMPLATES,
+    canTransition,
+    historyEntry,
+    createLifecycle
+};
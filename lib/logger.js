@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields that carry personal data. Emails are replaced by a short digest so
+// log lines about the same person can still be correlated.
+const EMAIL_KEYS = new Set(['email', 'from', 'to', 'cc', 'bcc', 'replyTo', 'recipient', 'recipients']);
+const PERSONAL_KEYS = new Set(['name', 'subject', 'message', 'text', 'html', 'body', 'captchaToken', 'authorization']);
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Per-request (or per-job) context: the correlation ID and anything else
+// every log line in that flow should carry
+const context = new AsyncLocalStorage();
+
+function maskEmail(email) {
+    const digest = crypto.createHash('sha256').update(email.toLowerCase()).digest('hex');
+    return `[email:${digest.slice(0, 10)}]`;
+}
+
+// Prepare a value for a log line: errors become plain objects and, unless
+// `options.redact` is false, personal data is masked
+function prepare(value, key, options) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (value instanceof Error) {
+        return serializeError(value, options);
+    }
+    if (Array.isArray(value)) {
+        return value.map(entry => prepare(entry, key, options));
+    }
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([field, entry]) => [field, prepare(entry, field, options)]));
+    }
+    if (!options.redact) {
+        return value;
+    }
+    if (PERSONAL_KEYS.has(key)) {
+        return '[redacted]';
+    }
+    if (typeof value === 'string') {
+        if (EMAIL_KEYS.has(key)) {
+            // Drop display names too ("Jane Doe <jane@example.com>")
+            const emails = value.match(EMAIL_PATTERN);
+            return emails ? emails.map(maskEmail).join(', ') : '[redacted]';
+        }
+        return value.replace(EMAIL_PATTERN, maskEmail);
+    }
+    return value;
+}
+
+function serializeError(error, options) {
+    return {
+        name: error.name,
+        message: prepare(error.message, 'error', options),
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        ...(options.stack ? { stack: prepare(error.stack, 'stack', options) } : {})
+    };
+}
+
+function redact(value) {
+    return prepare(value, null, { redact: true, stack: false });
+}
+
+function levelValue(level) {
+    return LEVELS[level] || LEVELS.info;
+}
+
+// Process-wide settings from the loaded configuration. Until then LOG_LEVEL
+// and LOG_REDACT are read directly, so configuration errors still get logged.
+const settings = {};
+
+function configureLogging({ level, redact: redactPersonalData }) {
+    settings.level = level;
+    settings.redact = redactPersonalData;
+}
+
+// JSON-lines logger. The level picks the threshold (debug, info, warn, error
+// or silent); turning redaction off is meant for local debugging only.
+function createLogger(options = {}) {
+    const stream = options.stream || process.stdout;
+    const bindings = options.bindings || {};
+
+    const threshold = () => levelValue(options.level || settings.level || process.env.LOG_LEVEL);
+    const shouldRedact = () => {
+        const value = options.redact !== undefined ? options.redact : settings.redact;
+        return value !== undefined ? value : process.env.LOG_REDACT !== 'false';
+    };
+
+    function write(level, msg, fields = {}) {
+        if (LEVELS[level] < threshold()) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...bindings,
+            ...context.getStore(),
+            ...(fields instanceof Error ? { error: fields } : fields)
+        };
+
+        // Stacks only show up at debug level
+        stream.write(`${JSON.stringify(prepare(entry, null, { redact: shouldRedact(), stack: threshold() <= LEVELS.debug }))}\n`);
+    }
+
+    return {
+        get level() {
+            return Object.keys(LEVELS).find(name => LEVELS[name] === threshold());
+        },
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+
+        // Logger whose lines all carry `extra`
+        child(extra) {
+            return createLogger({ ...options, bindings: { ...bindings, ...extra } });
+        }
+    };
+}
+
+const logger = createLogger();
+
+// Run `fn` with `values` bound to every log line it produces, including
+// lines from async work it starts
+function withContext(values, fn) {
+    return context.run({ ...context.getStore(), ...values }, fn);
+}
+
+function currentRequestId() {
+    const store = context.getStore();
+    return (store && store.requestId) || null;
+}
+
+// Give a request its correlation ID (reusing a well-formed incoming
+// X-Request-Id), echo it back in the response and log the outcome once the
+// response is finished. Returns the ID.
+function startRequest(req, res) {
+    if (req.id) {
+        return req.id;
+    }
+
+    const incoming = req.headers['x-request-id'];
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const fields = {
+            requestId: req.id,
+            method: req.method,
+            path: (req.originalUrl || req.url).split('?')[0],
+            status: res.statusCode,
+            durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+        };
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        logger[level]('request completed', fields);
+    });
+
+    return req.id;
+}
+
+// Express middleware binding the request ID to everything downstream.
+// Body parsers resume the request in a fresh async context, so mount it
+// again after them; the second pass reuses the ID and only rebinds it.
+function requestContext() {
+    return (req, res, next) => withContext({ requestId: startRequest(req, res) }, next);
+}
+
+module.exports = {
+    LEVELS,
+    REQUEST_ID_HEADER,
+    redact,
+    createLogger,
+    configureLogging,
+    logger,
+    withContext,
+    currentRequestId,
+    startRequest,
+    requestContext
+};
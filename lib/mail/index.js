@@ -0,0 +1,48 @@
+const { createResendTransport } = require('./transports/resend');
+const { createSmtpTransport } = require('./transports/smtp');
+const { createOutboxTransport } = require('./transports/outbox');
+const { getConfig } = require('../config');
+
+// Every transport exposes the same interface:
+//   send({ from, to, subject, html, text, replyTo, headers, attachments })
+//     -> Promise<{ id, provider }>
+const transports = {
+    resend: createResendTransport,
+    smtp: createSmtpTransport,
+    outbox: createOutboxTransport
+};
+
+let defaultTransport;
+
+// Build a transport by name (resend, smtp or outbox)
+function createTransport(name, options) {
+    const factory = transports[name];
+
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${name}". Expected one of: ${Object.keys(transports).join(', ')}`);
+    }
+
+    return factory(options);
+}
+
+// Shared transport selected through MAIL_TRANSPORT (defaults to resend),
+// configured from its section of the mail config
+function getTransport() {
+    if (!defaultTransport) {
+        const { mail } = getConfig();
+        defaultTransport = createTransport(mail.transport, mail[mail.transport]);
+    }
+
+    return defaultTransport;
+}
+
+// Replace the shared transport, e.g. with an outbox in tests
+function setTransport(transport) {
+    defaultTransport = transport;
+}
+
+module.exports = {
+    createTransport,
+    getTransport,
+    setTransport
+};
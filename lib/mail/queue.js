@@ -0,0 +1,306 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { getTransport } = require('./index');
+const { isNetworkError, getRetryDelay } = require('./retry');
+const { logger, withContext, currentRequestId } = require('../logger');
+const { metrics } = require('../metrics');
+const { getConfig } = require('../config');
+const { createRegistrationRepository } = require('../registration-repository');
+
+const OUTBOX_COLLECTION = 'email_outbox';
+
+// Job lifecycle: pending -> sending -> sent | dead (or suppressed when every
+// recipient is on the suppression list).
+// `nextAttemptAt` is only set while a job can still be claimed. A claimed job
+// gets nextAttemptAt = now + lease, so if the worker crashes mid-send the job
+// becomes claimable again once the lease runs out.
+const DEFAULT_LEASE_MS = 60000;
+const DEFAULT_BATCH_SIZE = 10;
+
+// Build an outbox job document. Write it with enqueueEmail, or add it to a
+// batch yourself when it has to be committed alongside other writes.
+function buildEmailJob(message, options = {}) {
+    return {
+        message,
+        kind: options.kind || 'generic',
+        // Template the message was rendered from, used as the metrics label
+        template: options.template || options.kind || 'generic',
+        registrationId: options.registrationId || null,
+        // Set for campaign emails; the worker reports outcomes per recipient
+        campaignId: options.campaignId || null,
+        campaignRecipientId: options.campaignRecipientId || null,
+        // Correlation ID of the request that queued the email
+        requestId: options.requestId || currentRequestId(),
+        status: 'pending',
+        attempts: 0,
+        maxAttempts: options.maxAttempts || getConfig().mail.maxAttempts,
+        nextAttemptAt: admin.firestore.Timestamp.fromMillis(options.sendAt || Date.now()),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastError: null
+    };
+}
+
+// Queue a message for the background worker and return the job reference
+async function enqueueEmail(db, message, options = {}) {
+    const jobRef = db.collection(OUTBOX_COLLECTION).doc();
+    await jobRef.set(buildEmailJob(message, options));
+    return jobRef;
+}
+
+// Mirror a job's outcome onto the registration it belongs to
+function registrationUpdateFor(job, outcome, error, result) {
+    const update = {
+        emailAttempts: admin.firestore.FieldValue.increment(1),
+        lastEmailAttempt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    if (outcome === 'sent') {
+        update.lastEmailError = admin.firestore.FieldValue.delete();
+        update.lastEmailMessageId = (result && result.id) || null;
+        if (job.kind === 'confirmation') {
+            update.confirmationEmailSent = true;
+            update.confirmationEmailStatus = 'sent';
+            update.confirmationMessageId = (result && result.id) || null;
+            update.emailSentAt = admin.firestore.FieldValue.serverTimestamp();
+        }
+    } else {
+        update.lastEmailError = error.message;
+        if (job.kind === 'confirmation' && outcome !== 'retry') {
+            update.confirmationEmailStatus = 'failed';
+        }
+    }
+
+    return update;
+}
+
+function createEmailWorker(db, options = {}) {
+    const transport = options.transport || getTransport();
+    const workerId = options.workerId || `worker-${crypto.randomUUID()}`;
+    const leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+    const pollIntervalMs = options.pollIntervalMs || getConfig().mail.workerIntervalMs;
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const suppressions = options.suppressions || null;
+    // Called with (job, outcome, error, result) after every attempt, where
+    // outcome is sent, retry, dead or suppressed
+    const onOutcome = options.onOutcome || null;
+    const outboxRef = db.collection(OUTBOX_COLLECTION);
+    const registrations = createRegistrationRepository(db);
+    const log = logger.child({ component: 'email-worker', workerId });
+
+    let timer = null;
+    let running = false;
+    let stopped = true;
+
+    // Claim a job in a transaction so two workers never send the same message
+    async function claim(jobRef) {
+        return db.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(jobRef);
+            if (!snapshot.exists) {
+                return null;
+            }
+
+            const job = snapshot.data();
+            const claimable = job.nextAttemptAt && job.nextAttemptAt.toMillis() <= Date.now() &&
+                (job.status === 'pending' || job.status === 'sending');
+            if (!claimable) {
+                return null;
+            }
+
+            const attempts = (job.attempts || 0) + 1;
+            transaction.update(jobRef, {
+                status: 'sending',
+                attempts,
+                claimedBy: workerId,
+                claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+                nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + leaseMs)
+            });
+
+            return { ...job, attempts };
+        });
+    }
+
+    async function mirror(job, outcome, error, result) {
+        if (onOutcome) {
+            try {
+                await onOutcome(job, outcome, error, result);
+            } catch (hookError) {
+                log.error('Failed to record email job outcome', { kind: job.kind, outcome, error: hookError });
+            }
+        }
+        if (!job.registrationId) {
+            return;
+        }
+
+        try {
+            await registrations.update(job.registrationId, registrationUpdateFor(job, outcome, error, result));
+        } catch (mirrorError) {
+            log.error('Failed to update registration after email job', {
+                registrationId: job.registrationId,
+                error: mirrorError
+            });
+        }
+    }
+
+    async function processJob(jobRef) {
+        const job = await claim(jobRef);
+        if (!job) {
+            return;
+        }
+
+        // Log lines from the send carry the ID of the request that queued it
+        return withContext({ requestId: job.requestId || undefined, jobId: jobRef.id }, () => deliver(jobRef, job));
+    }
+
+    async function deliver(jobRef, job) {
+        const template = job.template || job.kind;
+
+        log.info('Processing email job', {
+            kind: job.kind,
+            attempt: job.attempts,
+            maxAttempts: job.maxAttempts
+        });
+
+        // Never send to addresses that hard-bounced or complained, nor bulk
+        // mail to addresses that unsubscribed
+        let message = job.message;
+        if (suppressions) {
+            const { allowed, suppressed } = await suppressions.filterRecipients(message.to, { bulk: job.kind === 'campaign' });
+            if (allowed.length === 0) {
+                const error = new Error('All recipients are on the suppression list');
+                await jobRef.update({
+                    status: 'suppressed',
+                    lastError: error.message,
+                    suppressedRecipients: suppressed,
+                    nextAttemptAt: admin.firestore.FieldValue.delete()
+                });
+                await mirror(job, 'suppressed', error);
+                metrics.emailFailures.inc({ template, outcome: 'suppressed' });
+                log.info('Email job skipped: recipients suppressed', { kind: job.kind });
+                return;
+            }
+            if (suppressed.length > 0) {
+                message = { ...message, to: allowed };
+            }
+        }
+
+        metrics.emailAttempts.inc({ template });
+        try {
+            const result = await transport.send(message);
+            metrics.emailSuccesses.inc({ template });
+
+            await jobRef.update({
+                status: 'sent',
+                providerMessageId: result.id || null,
+                provider: result.provider || transport.name,
+                sentAt: admin.firestore.FieldValue.serverTimestamp(),
+                nextAttemptAt: admin.firestore.FieldValue.delete(),
+                lastError: null
+            });
+            await mirror(job, 'sent', null, result);
+
+            log.info('Email job sent', {
+                kind: job.kind,
+                provider: result.provider || transport.name,
+                providerMessageId: result.id || null
+            });
+        } catch (error) {
+            const retryable = isNetworkError(error) && job.attempts < job.maxAttempts;
+
+            log.error('Email job attempt failed', {
+                kind: job.kind,
+                attempt: job.attempts,
+                retryable,
+                error
+            });
+
+            metrics.emailFailures.inc({ template, outcome: retryable ? 'retry' : 'dead' });
+
+            if (retryable) {
+                metrics.emailRetries.inc({ template });
+                const delay = getRetryDelay(job.attempts + 1, error);
+                await jobRef.update({
+                    status: 'pending',
+                    lastError: error.message,
+                    nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + delay)
+                });
+                await mirror(job, 'retry', error);
+            } else {
+                // Dead-lettered: kept in the collection for inspection, never retried
+                await jobRef.update({
+                    status: 'dead',
+                    lastError: error.message,
+                    deadAt: admin.firestore.FieldValue.serverTimestamp(),
+                    nextAttemptAt: admin.firestore.FieldValue.delete()
+                });
+                await mirror(job, 'dead', error);
+            }
+        }
+    }
+
+    // Process every job that is currently due
+    async function poll() {
+        if (running) {
+            return;
+        }
+        running = true;
+
+        try {
+            const snapshot = await outboxRef
+                .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+                .orderBy('nextAttemptAt')
+                .limit(batchSize)
+                .get();
+
+            for (const doc of snapshot.docs) {
+                await processJob(doc.ref);
+            }
+        } catch (error) {
+            log.error('Email worker poll failed', { error });
+        } finally {
+            running = false;
+        }
+    }
+
+    function schedule() {
+        if (stopped) {
+            return;
+        }
+        timer = setTimeout(async () => {
+            await poll();
+            schedule();
+        }, pollIntervalMs);
+    }
+
+    return {
+        id: workerId,
+        poll,
+
+        start() {
+            if (!stopped) {
+                return;
+            }
+            stopped = false;
+            log.info('Email worker started', { pollIntervalMs });
+            poll().then(schedule);
+        },
+
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+        },
+
+        // Run a poll right away instead of waiting for the next tick
+        poke() {
+            if (!stopped) {
+                setImmediate(poll);
+            }
+        }
+    };
+}
+
+module.exports = {
+    OUTBOX_COLLECTION,
+    buildEmailJob,
+    enqueueEmail,
+    createEmailWorker
+};
@@ -0,0 +1,40 @@
+// Retry policy for the outbox worker in ./queue
+
+// Errors worth retrying: network failures and the SSL/TLS decoder errors we
+// see intermittently from the provider
+function isNetworkError(error) {
+    const message = error.message || '';
+    return message.includes('fetch failed') ||
+        message.includes('ETIMEDOUT') ||
+        message.includes('ECONNREFUSED') ||
+        message.includes('network') ||
+        message.includes('timeout') ||
+        isSslError(error);
+}
+
+function isSslError(error) {
+    const message = error.message || '';
+    return message.includes('DECODER routines::unsupported') ||
+        message.includes('Getting metadata from plugin failed');
+}
+
+// Delay before the given attempt (1-based): exponential backoff capped at 10s,
+// plus an increasing extra delay when the previous failure was an SSL/TLS error
+function getRetryDelay(attempt, lastError) {
+    if (attempt <= 1) {
+        return 0;
+    }
+
+    let delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+
+    if (lastError && isSslError(lastError)) {
+        delay += 2000 * (attempt - 1);
+    }
+
+    return delay;
+}
+
+module.exports = {
+    isNetworkError,
+    getRetryDelay
+};
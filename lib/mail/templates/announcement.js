@@ -0,0 +1,21 @@
+const { html, multiline, singleLine } = require('./engine');
+const { greeting, signature, unsubscribeFooter } = require('./partials');
+
+// Cohort announcement sent by a campaign. Subject and message are written by
+// an admin and already personalized per recipient; only the surrounding
+// text is translated.
+module.exports = {
+    subject: ({ subject }) => singleLine(subject),
+
+    body: ({ name, message, linkUrl, linkLabel, unsubscribeUrl }, t) => html`
+        ${greeting(t, name)}
+
+        <p>${multiline(message)}</p>
+
+        ${linkUrl ? html`<p><a href="${linkUrl}">${linkLabel || linkUrl}</a></p>` : ''}
+
+        ${signature(t)}
+
+        ${unsubscribeUrl ? unsubscribeFooter(t, unsubscribeUrl) : ''}
+    `
+};
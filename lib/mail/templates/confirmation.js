@@ -0,0 +1,21 @@
+const { html } = require('./engine');
+const { greeting, contactCoordinator, signature } = require('./partials');
+
+// Registration confirmation sent to the applicant
+module.exports = {
+    subject: (data, t) => t.text('confirmation.subject'),
+
+    body: ({ name, courseName, examDate, examWindow }, t) => html`
+        ${greeting(t, name)}
+
+        <p>${t('confirmation.intro', { courseName })} ${examDate ? t(examWindow ? 'confirmation.examScheduledWindow' : 'confirmation.examScheduled', { examDate, examWindow }) : t('confirmation.examPending')} ${t('confirmation.testLink')}</p>
+
+        <p>${t('confirmation.nextSteps')}</p>
+
+        ${contactCoordinator(t)}
+
+        <p>${t('confirmation.closing')}</p>
+
+        ${signature(t)}
+    `
+};
@@ -0,0 +1,16 @@
+const { html, multiline, singleLine } = require('./engine');
+const { field } = require('./partials');
+
+// Contact form submission forwarded to the EdCatalyst inbox
+module.exports = {
+    subject: ({ subject }) => `New Contact Form Submission: ${singleLine(subject)}`,
+
+    body: ({ name, from, subject, message }) => html`
+        <h2>New Contact Form Submission</h2>
+        ${field('Name', name)}
+        ${field('Email', from)}
+        ${field('Subject', subject)}
+        <p><strong>Message:</strong></p>
+        <p>${multiline(message)}</p>
+    `
+};
@@ -0,0 +1,100 @@
+// Minimal HTML templating for emails. Values interpolated through the `html`
+// tag are escaped unless they are themselves SafeHtml (the result of another
+// `html` call, a partial, or an explicit `raw()`).
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+// Mark trusted markup so it is inserted as-is
+function raw(value) {
+    return new SafeHtml(String(value));
+}
+
+function interpolate(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (value instanceof SafeHtml) {
+        return value.value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(interpolate).join('');
+    }
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, index) => {
+        result += interpolate(value) + strings[index + 1];
+    });
+    return new SafeHtml(result);
+}
+
+// Escape user text and keep its line breaks
+function multiline(value) {
+    return raw(escapeHtml(value === null || value === undefined ? '' : value).replace(/\r?\n/g, '<br>'));
+}
+
+// Header values such as subjects must stay on a single line
+function singleLine(value) {
+    return String(value === null || value === undefined ? '' : value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': ' '
+};
+
+// Derive the plain-text alternative from rendered HTML
+function htmlToText(markup) {
+    return String(markup)
+        .replace(/<(style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/\s+/g, ' ')
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const text = label.replace(/<[^>]+>/g, '').trim();
+            return text && text !== href ? `${text} (${href})` : href;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr)>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity])
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    SafeHtml,
+    escapeHtml,
+    raw,
+    html,
+    multiline,
+    singleLine,
+    htmlToText
+};
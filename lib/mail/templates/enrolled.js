@@ -0,0 +1,19 @@
+const { html } = require('./engine');
+const { greeting, contactCoordinator, signature } = require('./partials');
+
+// Enrollment is complete
+module.exports = {
+    subject: (data, t) => t.text('enrolled.subject'),
+
+    body: ({ name, courseName }, t) => html`
+        ${greeting(t, name)}
+
+        <p>${t('enrolled.complete', { courseName })}</p>
+
+        <p>${t('enrolled.nextSteps')}</p>
+
+        ${contactCoordinator(t)}
+
+        ${signature(t)}
+    `
+};
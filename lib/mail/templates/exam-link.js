@@ -0,0 +1,23 @@
+const { html } = require('./engine');
+const { greeting, contactCoordinator, signature } = require('./partials');
+
+// Scholarship exam link, sent on the day of the exam
+module.exports = {
+    subject: (data, t) => t.text('examLink.subject'),
+
+    body: ({ name, courseName, examLink, examDate, examWindow }, t) => html`
+        ${greeting(t, name)}
+
+        <p>${t(examDate ? 'examLink.scheduledDate' : 'examLink.scheduled', { courseName, examDate })} ${t(examWindow ? 'examLink.useLinkWindow' : 'examLink.useLink', { examWindow })}</p>
+
+        <p><a href="${examLink}">${examLink}</a></p>
+
+        <p>${t('examLink.preparation')}</p>
+
+        ${contactCoordinator(t)}
+
+        <p>${t('examLink.closing')}</p>
+
+        ${signature(t)}
+    `
+};
@@ -0,0 +1,17 @@
+const { html } = require('./engine');
+const { greeting, signature } = require('./partials');
+
+// Acknowledgement once the applicant has taken the exam
+module.exports = {
+    subject: (data, t) => t.text('examReceived.subject'),
+
+    body: ({ name, courseName }, t) => html`
+        ${greeting(t, name)}
+
+        <p>${t('examReceived.received', { courseName })}</p>
+
+        <p>${t('examReceived.nextSteps')}</p>
+
+        ${signature(t)}
+    `
+};
@@ -0,0 +1,20 @@
+const { html } = require('./engine');
+const { greeting, signature } = require('./partials');
+
+// Enrollment fee has been received. Online payments add the receipt
+// details; the invoice itself is attached by lib/fees.js.
+module.exports = {
+    subject: (data, t) => t.text('feeReceived.subject'),
+
+    body: ({ name, courseName, amount, invoiceNumber, paymentId }, t) => html`
+        ${greeting(t, name)}
+
+        <p>${t('feeReceived.received', { courseName })}</p>
+
+        ${invoiceNumber ? html`<p>${t('feeReceived.receipt', { amount, invoiceNumber, paymentId })}</p>` : ''}
+
+        <p>${t('feeReceived.nextSteps')}</p>
+
+        ${signature(t)}
+    `
+};
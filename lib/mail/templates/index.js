@@ -0,0 +1,45 @@
+const layout = require('./layout');
+const { htmlToText } = require('./engine');
+const { createTranslator } = require('./locales');
+
+const templates = {
+    contact: require('./contact'),
+    confirmation: require('./confirmation'),
+    examLink: require('./exam-link'),
+    examReceived: require('./exam-received'),
+    shortlisted: require('./shortlisted'),
+    rejected: require('./rejected'),
+    selection: require('./selection'),
+    feeReceived: require('./fee-received'),
+    enrolled: require('./enrolled'),
+    ticketReply: require('./ticket-reply'),
+    announcement: require('./announcement'),
+    privacyLink: require('./privacy-link'),
+    paymentLink: require('./payment-link')
+};
+
+// Render a named template into { subject, html, text } in `options.locale`,
+// falling back to English for locales and messages we have no translation
+// for. Templates may set `layout: false` to skip the shared wrapper.
+function renderEmail(name, data = {}, options = {}) {
+    const template = templates[name];
+
+    if (!template) {
+        throw new Error(`Unknown email template "${name}"`);
+    }
+
+    const t = createTranslator(options.locale);
+    const body = template.body(data, t);
+    const markup = String(template.layout === false ? body : layout(body, t.locale)).trim();
+
+    return {
+        subject: template.subject(data, t),
+        html: markup,
+        text: htmlToText(markup)
+    };
+}
+
+module.exports = {
+    renderEmail,
+    templates
+};
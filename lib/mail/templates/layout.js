@@ -0,0 +1,12 @@
+const { html } = require('./engine');
+
+// Shared wrapper for every outgoing email
+function layout(body, locale = 'en') {
+    return html`
+        <div lang="${locale}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+            ${body}
+        </div>
+    `;
+}
+
+module.exports = layout;
@@ -0,0 +1,92 @@
+// English message catalog, the fallback for every other locale. Messages are
+// trusted markup; {placeholders} are escaped unless they are SafeHtml.
+module.exports = {
+    partials: {
+        greeting: 'Dear {name},',
+        contactCoordinator: 'If you have any questions or require additional details regarding the exam pattern or syllabus, feel free to reach out to {email}, our Internship Coordinator.',
+        closing: 'Warm regards,',
+        team: 'Team EdCatalyst',
+        unsubscribeNotice: 'You are receiving this because you registered for an EdCatalyst program.',
+        unsubscribeLink: 'Unsubscribe from announcements'
+    },
+
+    confirmation: {
+        subject: 'Confirmation of Registration – EdCatalyst Summer Internship Program',
+        intro: 'Thank you for registering for the EdCatalyst Summer Internship Program. We are pleased to confirm that your registration for the {courseName} internship has been successfully received. Please note that this registration does not guarantee final selection.',
+        examScheduled: 'The next step in the process is the Online Scholarship Examination, which is scheduled for {examDate}. A calendar invitation is attached so you can save the date.',
+        examScheduledWindow: 'The next step in the process is the Online Scholarship Examination, which is scheduled for {examDate}, {examWindow}. A calendar invitation is attached so you can save the date.',
+        examPending: 'The next step in the process is the Online Scholarship Examination, which will be conducted within 2 days of your registration.',
+        testLink: 'You will receive the Scholarship Test link from us on the day of the test. Your performance in this assessment will determine your eligibility for the internship as well as any applicable scholarship benefits.',
+        nextSteps: 'Following the examination, shortlisted candidates will receive an official selection email along with further instructions for completing the enrollment, including fee payment and document submission. We encourage you to prepare thoroughly for the exam, as it plays a crucial role in securing your place in the program.',
+        closing: 'We appreciate your interest in EdCatalyst and look forward to your participation in the upcoming examination.'
+    },
+
+    examLink: {
+        subject: 'Your Online Scholarship Examination Link – EdCatalyst Summer Internship Program',
+        scheduled: 'Your Online Scholarship Examination for the {courseName} internship is scheduled for today.',
+        scheduledDate: 'Your Online Scholarship Examination for the {courseName} internship is scheduled for today ({examDate}).',
+        useLink: 'Please use the link below to take the test.',
+        useLinkWindow: 'Please use the link below to take the test between {examWindow}.',
+        preparation: 'Make sure you have a stable internet connection before you begin. Your performance in this assessment will determine your eligibility for the internship as well as any applicable scholarship benefits.',
+        closing: 'All the best for your examination.'
+    },
+
+    examReceived: {
+        subject: 'We Have Received Your Scholarship Examination – EdCatalyst',
+        received: 'Thank you for taking the Online Scholarship Examination for the {courseName} internship. Your responses have been recorded and are now being evaluated.',
+        nextSteps: 'Shortlisted candidates will be informed by email once the results are finalized.'
+    },
+
+    shortlisted: {
+        subject: 'You Have Been Shortlisted – EdCatalyst Summer Internship Program',
+        congratulations: 'Congratulations! Based on your performance in the Online Scholarship Examination, you have been shortlisted for the {courseName} internship.',
+        scholarship: 'You have also qualified for the {scholarshipTier} scholarship tier, which carries a {scholarshipDiscountPercent}% discount on the program fee.',
+        nextSteps: 'Our team is completing the final review of shortlisted candidates. You will receive an official selection email with instructions for completing your enrollment shortly.'
+    },
+
+    rejected: {
+        subject: 'Update on Your Application – EdCatalyst Summer Internship Program',
+        decision: 'Thank you for your interest in the {courseName} internship and for the time you invested in the selection process. After careful consideration, we regret to inform you that we are unable to offer you a place in the current cohort.',
+        encouragement: 'We encourage you to keep learning and to apply again for our upcoming programs.'
+    },
+
+    selection: {
+        subject: 'Official Selection – EdCatalyst Summer Internship Program',
+        selected: 'We are delighted to inform you that you have been selected for the {courseName} internship as part of the EdCatalyst Summer Internship Program.',
+        enrollment: 'To confirm your place, please complete the enrollment process, including fee payment and document submission. Further details on payment will follow in a separate email.',
+        closing: 'Congratulations once again, and welcome to EdCatalyst.'
+    },
+
+    feeReceived: {
+        subject: 'Fee Payment Received – EdCatalyst Summer Internship Program',
+        received: 'We have received your enrollment fee for the {courseName} internship. Thank you!',
+        receipt: 'Amount paid: {amount}. Payment reference: {paymentId}. Your invoice, number {invoiceNumber}, is attached to this email.',
+        nextSteps: 'Our team will now verify your documents and complete your enrollment. You will receive a confirmation email once this is done.'
+    },
+
+    paymentLink: {
+        subject: 'Pay Your Enrollment Fee – EdCatalyst Summer Internship Program',
+        due: 'The enrollment fee for the {courseName} internship is {amount}, with any scholarship discount already applied.',
+        useLink: 'Use the link below to pay securely online. The link is personal to you and expires in {hours} hours.',
+        ignore: 'If you did not ask for this link, you can ignore this email.'
+    },
+
+    enrolled: {
+        subject: 'Welcome to the EdCatalyst Summer Internship Program',
+        complete: 'Your enrollment in the {courseName} internship is complete. Welcome aboard!',
+        nextSteps: 'Orientation details and your program schedule will be shared with you before the internship begins.'
+    },
+
+    ticketReply: {
+        subject: 'Re: {subject}',
+        wrote: 'You wrote:',
+        wroteOn: 'On {receivedAt}, you wrote:'
+    },
+
+    privacyLink: {
+        subject: 'Your EdCatalyst Data Request',
+        received: 'We received a request to see or erase the personal data EdCatalyst holds about {email}.',
+        useLink: 'Use the link below to download a copy of your data, or to have it deleted or anonymized. The link expires in {minutes} minutes.',
+        ignore: 'If you did not make this request, you can ignore this email. Nothing will change.'
+    }
+};
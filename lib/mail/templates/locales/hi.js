@@ -0,0 +1,91 @@
+// Hindi message catalog. Missing keys fall back to English.
+module.exports = {
+    partials: {
+        greeting: 'प्रिय {name},',
+        contactCoordinator: 'परीक्षा के पैटर्न या पाठ्यक्रम के बारे में किसी भी प्रश्न या अतिरिक्त जानकारी के लिए, कृपया हमारे इंटर्नशिप समन्वयक से {email} पर संपर्क करें।',
+        closing: 'सादर,',
+        team: 'टीम EdCatalyst',
+        unsubscribeNotice: 'आपको यह ईमेल इसलिए मिला है क्योंकि आपने EdCatalyst के किसी प्रोग्राम के लिए पंजीकरण किया है।',
+        unsubscribeLink: 'घोषणाओं की सदस्यता छोड़ें'
+    },
+
+    confirmation: {
+        subject: 'पंजीकरण की पुष्टि – EdCatalyst समर इंटर्नशिप प्रोग्राम',
+        intro: 'EdCatalyst समर इंटर्नशिप प्रोग्राम के लिए पंजीकरण करने हेतु धन्यवाद। हमें यह पुष्टि करते हुए प्रसन्नता है कि {courseName} इंटर्नशिप के लिए आपका पंजीकरण सफलतापूर्वक प्राप्त हो गया है। कृपया ध्यान दें कि यह पंजीकरण अंतिम चयन की गारंटी नहीं है।',
+        examScheduled: 'प्रक्रिया का अगला चरण ऑनलाइन छात्रवृत्ति परीक्षा है, जो {examDate} को निर्धारित है। तारीख सहेजने के लिए एक कैलेंडर आमंत्रण संलग्न है।',
+        examScheduledWindow: 'प्रक्रिया का अगला चरण ऑनलाइन छात्रवृत्ति परीक्षा है, जो {examDate} को {examWindow} के बीच निर्धारित है। तारीख सहेजने के लिए एक कैलेंडर आमंत्रण संलग्न है।',
+        examPending: 'प्रक्रिया का अगला चरण ऑनलाइन छात्रवृत्ति परीक्षा है, जो आपके पंजीकरण के 2 दिनों के भीतर आयोजित की जाएगी।',
+        testLink: 'परीक्षा के दिन आपको हमारी ओर से छात्रवृत्ति परीक्षा का लिंक भेजा जाएगा। इस मूल्यांकन में आपका प्रदर्शन इंटर्नशिप के लिए आपकी पात्रता और लागू छात्रवृत्ति लाभ निर्धारित करेगा।',
+        nextSteps: 'परीक्षा के बाद, शॉर्टलिस्ट किए गए उम्मीदवारों को आधिकारिक चयन ईमेल के साथ नामांकन पूरा करने के निर्देश भेजे जाएंगे, जिसमें शुल्क भुगतान और दस्तावेज़ जमा करना शामिल है। हम आपको परीक्षा की अच्छी तैयारी करने के लिए प्रोत्साहित करते हैं, क्योंकि प्रोग्राम में आपका स्थान सुनिश्चित करने में इसकी महत्वपूर्ण भूमिका है।',
+        closing: 'EdCatalyst में आपकी रुचि के लिए धन्यवाद। हम आगामी परीक्षा में आपकी भागीदारी की प्रतीक्षा कर रहे हैं।'
+    },
+
+    examLink: {
+        subject: 'आपकी ऑनलाइन छात्रवृत्ति परीक्षा का लिंक – EdCatalyst समर इंटर्नशिप प्रोग्राम',
+        scheduled: '{courseName} इंटर्नशिप के लिए आपकी ऑनलाइन छात्रवृत्ति परीक्षा आज निर्धारित है।',
+        scheduledDate: '{courseName} इंटर्नशिप के लिए आपकी ऑनलाइन छात्रवृत्ति परीक्षा आज ({examDate}) निर्धारित है।',
+        useLink: 'परीक्षा देने के लिए कृपया नीचे दिए गए लिंक का उपयोग करें।',
+        useLinkWindow: 'कृपया {examWindow} के बीच परीक्षा देने के लिए नीचे दिए गए लिंक का उपयोग करें।',
+        preparation: 'शुरू करने से पहले सुनिश्चित करें कि आपका इंटरनेट कनेक्शन स्थिर है। इस मूल्यांकन में आपका प्रदर्शन इंटर्नशिप के लिए आपकी पात्रता और लागू छात्रवृत्ति लाभ निर्धारित करेगा।',
+        closing: 'आपकी परीक्षा के लिए शुभकामनाएं।'
+    },
+
+    examReceived: {
+        subject: 'हमें आपकी छात्रवृत्ति परीक्षा प्राप्त हो गई है – EdCatalyst',
+        received: '{courseName} इंटर्नशिप के लिए ऑनलाइन छात्रवृत्ति परीक्षा देने के लिए धन्यवाद। आपके उत्तर दर्ज कर लिए गए हैं और उनका मूल्यांकन किया जा रहा है।',
+        nextSteps: 'परिणाम तय होने के बाद शॉर्टलिस्ट किए गए उम्मीदवारों को ईमेल द्वारा सूचित किया जाएगा।'
+    },
+
+    shortlisted: {
+        subject: 'आपको शॉर्टलिस्ट किया गया है – EdCatalyst समर इंटर्नशिप प्रोग्राम',
+        congratulations: 'बधाई हो! ऑनलाइन छात्रवृत्ति परीक्षा में आपके प्रदर्शन के आधार पर आपको {courseName} इंटर्नशिप के लिए शॉर्टलिस्ट किया गया है।',
+        scholarship: 'आप {scholarshipTier} छात्रवृत्ति श्रेणी के लिए भी योग्य हुए हैं, जिसमें प्रोग्राम शुल्क पर {scholarshipDiscountPercent}% की छूट मिलती है।',
+        nextSteps: 'हमारी टीम शॉर्टलिस्ट किए गए उम्मीदवारों की अंतिम समीक्षा कर रही है। नामांकन पूरा करने के निर्देशों के साथ आपको जल्द ही आधिकारिक चयन ईमेल प्राप्त होगा।'
+    },
+
+    rejected: {
+        subject: 'आपके आवेदन के बारे में जानकारी – EdCatalyst समर इंटर्नशिप प्रोग्राम',
+        decision: '{courseName} इंटर्नशिप में आपकी रुचि और चयन प्रक्रिया में दिए गए समय के लिए धन्यवाद। सावधानीपूर्वक विचार के बाद, हमें खेद है कि हम आपको वर्तमान बैच में स्थान नहीं दे पा रहे हैं।',
+        encouragement: 'हम आपको सीखते रहने और हमारे आगामी प्रोग्रामों के लिए फिर से आवेदन करने के लिए प्रोत्साहित करते हैं।'
+    },
+
+    selection: {
+        subject: 'आधिकारिक चयन – EdCatalyst समर इंटर्नशिप प्रोग्राम',
+        selected: 'हमें यह बताते हुए प्रसन्नता है कि EdCatalyst समर इंटर्नशिप प्रोग्राम के अंतर्गत {courseName} इंटर्नशिप के लिए आपका चयन हो गया है।',
+        enrollment: 'अपना स्थान सुनिश्चित करने के लिए कृपया शुल्क भुगतान और दस्तावेज़ जमा करने सहित नामांकन प्रक्रिया पूरी करें। भुगतान की जानकारी एक अलग ईमेल में भेजी जाएगी।',
+        closing: 'एक बार फिर बधाई, और EdCatalyst में आपका स्वागत है।'
+    },
+
+    feeReceived: {
+        subject: 'शुल्क भुगतान प्राप्त हुआ – EdCatalyst समर इंटर्नशिप प्रोग्राम',
+        received: '{courseName} इंटर्नशिप के लिए आपका नामांकन शुल्क हमें प्राप्त हो गया है। धन्यवाद!',
+        receipt: 'भुगतान की गई राशि: {amount}। भुगतान संदर्भ: {paymentId}। आपका चालान, संख्या {invoiceNumber}, इस ईमेल के साथ संलग्न है।',
+        nextSteps: 'हमारी टीम अब आपके दस्तावेज़ों का सत्यापन करके आपका नामांकन पूरा करेगी। यह पूरा होने पर आपको पुष्टि का ईमेल प्राप्त होगा।'
+    },
+
+    paymentLink: {
+        subject: 'अपना नामांकन शुल्क भुगतान करें – EdCatalyst समर इंटर्नशिप प्रोग्राम',
+        due: '{courseName} इंटर्नशिप का नामांकन शुल्क {amount} है, जिसमें कोई भी छात्रवृत्ति छूट पहले ही लागू कर दी गई है।',
+        useLink: 'ऑनलाइन सुरक्षित भुगतान के लिए नीचे दिए गए लिंक का उपयोग करें। यह लिंक केवल आपके लिए है और {hours} घंटे में समाप्त हो जाएगा।',
+        ignore: 'यदि आपने यह लिंक नहीं माँगा है, तो इस ईमेल को अनदेखा कर सकते हैं।'
+    },
+
+    enrolled: {
+        subject: 'EdCatalyst समर इंटर्नशिप प्रोग्राम में आपका स्वागत है',
+        complete: '{courseName} इंटर्नशिप में आपका नामांकन पूरा हो गया है। आपका स्वागत है!',
+        nextSteps: 'इंटर्नशिप शुरू होने से पहले ओरिएंटेशन की जानकारी और आपके प्रोग्राम का शेड्यूल आपके साथ साझा किया जाएगा।'
+    },
+
+    ticketReply: {
+        subject: 'Re: {subject}',
+        wrote: 'आपने लिखा:',
+        wroteOn: '{receivedAt} को आपने लिखा:'
+    },
+
+    privacyLink: {
+        subject: 'आपके डेटा से जुड़ा अनुरोध – EdCatalyst',
+        received: 'हमें {email} के बारे में EdCatalyst के पास मौजूद व्यक्तिगत डेटा देखने या मिटाने का अनुरोध प्राप्त हुआ है।',
+        useLink: 'अपने डेटा की प्रति डाउनलोड करने, या उसे हटवाने या गुमनाम करवाने के लिए नीचे दिए गए लिंक का उपयोग करें। यह लिंक {minutes} मिनट में समाप्त हो जाएगा।',
+        ignore: 'यदि आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा कर सकते हैं। कुछ भी नहीं बदलेगा।'
+    }
+};
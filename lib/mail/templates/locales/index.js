@@ -0,0 +1,76 @@
+const { SafeHtml, escapeHtml, raw } = require('../engine');
+
+// Per-locale message catalogs. Add a locale by adding a catalog here with
+// the same keys as en.js; anything it leaves out is taken from English.
+const catalogs = {
+    en: require('./en'),
+    hi: require('./hi')
+};
+
+const DEFAULT_LOCALE = 'en';
+const LOCALES = Object.keys(catalogs);
+
+// BCP 47 tags such as "hi", "hi-IN" or "en_GB"
+const LOCALE_PATTERN = /^[a-z]{2,3}(?:[-_][a-z0-9]{2,8})*$/i;
+
+// The language part of a tag ("hi-IN" -> "hi"), or null if it is not one.
+// Stored as-is, so a catalog added later applies to earlier applicants too.
+function normalizeLocale(value) {
+    if (typeof value !== 'string' || !LOCALE_PATTERN.test(value.trim())) {
+        return null;
+    }
+    return value.trim().split(/[-_]/)[0].toLowerCase();
+}
+
+// The catalog to render with: the requested language if we have it
+function resolveLocale(value) {
+    const locale = normalizeLocale(value);
+    return locale && catalogs[locale] ? locale : DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((entry, part) => (entry && typeof entry === 'object' ? entry[part] : undefined), catalog);
+}
+
+// Replace {placeholders}; in markup, values are escaped unless they are SafeHtml
+function fill(message, values, escape) {
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = values[name];
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return escape && !(value instanceof SafeHtml) ? escapeHtml(value) : String(value);
+    });
+}
+
+// Translator for one locale: t(key, values) returns markup for email
+// bodies, t.text(key, values) plain text for subjects
+function createTranslator(requested) {
+    const locale = resolveLocale(requested);
+
+    function message(key) {
+        const value = lookup(catalogs[locale], key);
+        if (typeof value === 'string') {
+            return value;
+        }
+        const fallback = lookup(catalogs[DEFAULT_LOCALE], key);
+        if (typeof fallback !== 'string') {
+            throw new Error(`Missing email message "${key}"`);
+        }
+        return fallback;
+    }
+
+    const t = (key, values = {}) => raw(fill(message(key), values, true));
+    t.text = (key, values = {}) => fill(message(key), values, false);
+    t.locale = locale;
+
+    return t;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    normalizeLocale,
+    resolveLocale,
+    createTranslator
+};
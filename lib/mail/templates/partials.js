@@ -0,0 +1,40 @@
+const { html } = require('./engine');
+const { getConfig } = require('../../config');
+
+// Shared pieces of applicant emails; `t` is the translator for the
+// recipient's locale (see locales/)
+
+function greeting(t, name) {
+    return html`<p>${t('partials.greeting', { name })}</p>`;
+}
+
+// The coordinator address comes from COORDINATOR_EMAIL
+function contactCoordinator(t, email = getConfig().mail.coordinator) {
+    return html`<p>${t('partials.contactCoordinator', { email })}</p>`;
+}
+
+function signature(t) {
+    return html`
+        <p>${t('partials.closing')}<br>
+        ${t('partials.team')}<br>
+        www.edcatalyst.in</p>
+    `;
+}
+
+// Footer for bulk mail; the link stops further announcements only
+function unsubscribeFooter(t, url) {
+    return html`<p style="font-size: 12px; color: #666;">${t('partials.unsubscribeNotice')} <a href="${url}">${t('partials.unsubscribeLink')}</a></p>`;
+}
+
+// Label/value row used in internal notification emails
+function field(label, value) {
+    return html`<p><strong>${label}:</strong> ${value}</p>`;
+}
+
+module.exports = {
+    greeting,
+    contactCoordinator,
+    signature,
+    unsubscribeFooter,
+    field
+};
@@ -0,0 +1,21 @@
+const { html } = require('./engine');
+const { greeting, signature } = require('./partials');
+
+// Signed link to pay the enrollment fee
+module.exports = {
+    subject: (data, t) => t.text('paymentLink.subject'),
+
+    body: ({ name, courseName, amount, link, expiresInHours }, t) => html`
+        ${greeting(t, name)}
+
+        <p>${t('paymentLink.due', { courseName, amount })}</p>
+
+        <p>${t('paymentLink.useLink', { hours: expiresInHours })}</p>
+
+        <p><a href="${link}">${link}</a></p>
+
+        <p>${t('paymentLink.ignore')}</p>
+
+        ${signature(t)}
+    `
+};
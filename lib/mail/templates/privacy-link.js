@@ -0,0 +1,19 @@
+const { html } = require('./engine');
+const { signature } = require('./partials');
+
+// One-time link to export, delete or anonymize the applicant's data
+module.exports = {
+    subject: (data, t) => t.text('privacyLink.subject'),
+
+    body: ({ email, link, expiresInMinutes }, t) => html`
+        <p>${t('privacyLink.received', { email })}</p>
+
+        <p>${t('privacyLink.useLink', { minutes: expiresInMinutes })}</p>
+
+        <p><a href="${link}">${link}</a></p>
+
+        <p>${t('privacyLink.ignore')}</p>
+
+        ${signature(t)}
+    `
+};
@@ -0,0 +1,17 @@
+const { html } = require('./engine');
+const { greeting, signature } = require('./partials');
+
+// Applicant was not selected
+module.exports = {
+    subject: (data, t) => t.text('rejected.subject'),
+
+    body: ({ name, courseName }, t) => html`
+        ${greeting(t, name)}
+
+        <p>${t('rejected.decision', { courseName })}</p>
+
+        <p>${t('rejected.encouragement')}</p>
+
+        ${signature(t)}
+    `
+};
@@ -0,0 +1,21 @@
+const { html } = require('./engine');
+const { greeting, contactCoordinator, signature } = require('./partials');
+
+// Official selection email promised in the registration confirmation
+module.exports = {
+    subject: (data, t) => t.text('selection.subject'),
+
+    body: ({ name, courseName }, t) => html`
+        ${greeting(t, name)}
+
+        <p>${t('selection.selected', { courseName })}</p>
+
+        <p>${t('selection.enrollment')}</p>
+
+        ${contactCoordinator(t)}
+
+        <p>${t('selection.closing')}</p>
+
+        ${signature(t)}
+    `
+};
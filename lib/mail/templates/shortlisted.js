@@ -0,0 +1,21 @@
+const { html } = require('./engine');
+const { greeting, contactCoordinator, signature } = require('./partials');
+
+// Applicant cleared the scholarship exam
+module.exports = {
+    subject: (data, t) => t.text('shortlisted.subject'),
+
+    body: ({ name, courseName, scholarshipTier, scholarshipDiscountPercent }, t) => html`
+        ${greeting(t, name)}
+
+        <p>${t('shortlisted.congratulations', { courseName })}</p>
+
+        ${scholarshipTier ? html`<p>${t('shortlisted.scholarship', { scholarshipTier, scholarshipDiscountPercent })}</p>` : ''}
+
+        <p>${t('shortlisted.nextSteps')}</p>
+
+        ${contactCoordinator(t)}
+
+        ${signature(t)}
+    `
+};
@@ -0,0 +1,19 @@
+const { html, multiline, singleLine } = require('./engine');
+const { greeting, signature } = require('./partials');
+
+// Coordinator reply to a contact form submission
+module.exports = {
+    subject: ({ subject }, t) => t.text('ticketReply.subject', { subject: singleLine(subject) }),
+
+    body: ({ name, reply, originalMessage, receivedAt }, t) => html`
+        ${greeting(t, name)}
+
+        <p>${multiline(reply)}</p>
+
+        ${signature(t)}
+
+        <hr>
+        <p style="color: #666;">${receivedAt ? t('ticketReply.wroteOn', { receivedAt }) : t('ticketReply.wrote')}</p>
+        <blockquote style="color: #666; margin: 0 0 0 10px; padding-left: 10px; border-left: 2px solid #ccc;">${multiline(originalMessage)}</blockquote>
+    `
+};
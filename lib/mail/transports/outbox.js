@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Outbox transport: keeps rendered messages in memory and, when a directory
+// is configured, writes each one to disk as JSON. Nothing leaves the machine.
+function createOutboxTransport(options = {}) {
+    const dir = options.dir;
+    const messages = [];
+
+    if (dir) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    return {
+        name: 'outbox',
+        messages,
+
+        async send(message) {
+            const id = crypto.randomUUID();
+            const record = {
+                id,
+                sentAt: new Date().toISOString(),
+                ...message,
+                attachments: (message.attachments || []).map(attachment => ({
+                    ...attachment,
+                    content: Buffer.isBuffer(attachment.content)
+                        ? attachment.content.toString('base64')
+                        : attachment.content
+                }))
+            };
+
+            messages.push(record);
+
+            if (dir) {
+                const fileName = `${record.sentAt.replace(/[:.]/g, '-')}-${id}.json`;
+                await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(record, null, 2));
+            }
+
+            return {
+                id,
+                provider: 'outbox'
+            };
+        },
+
+        clear() {
+            messages.length = 0;
+        }
+    };
+}
+
+module.exports = { createOutboxTransport };
@@ -0,0 +1,58 @@
+const { Resend } = require('resend');
+const https = require('https');
+
+// Resend expects attachment content as base64
+function toResendAttachment(attachment) {
+    const content = Buffer.isBuffer(attachment.content) ?
+        attachment.content :
+        Buffer.from(String(attachment.content));
+
+    return {
+        filename: attachment.filename,
+        content: content.toString('base64')
+    };
+}
+
+// Resend transport: delivers through the Resend HTTP API.
+// Options: { apiKey, tls: { rejectUnauthorized, minVersion, maxVersion, ciphers } }
+function createResendTransport(options = {}) {
+    const { apiKey, tls = {} } = options;
+
+    if (!apiKey) {
+        throw new Error('RESEND_API_KEY is not set in environment variables');
+    }
+
+    const client = new Resend(apiKey, {
+        timeout: 10000,
+        retries: 0,
+        httpsAgent: new https.Agent({ ...tls })
+    });
+
+    return {
+        name: 'resend',
+
+        async send(message) {
+            const result = await client.emails.send({
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                html: message.html,
+                text: message.text,
+                reply_to: message.replyTo,
+                headers: message.headers,
+                attachments: message.attachments && message.attachments.map(toResendAttachment)
+            });
+
+            if (result.error) {
+                throw new Error(result.error.message);
+            }
+
+            return {
+                id: result.data ? result.data.id : result.id,
+                provider: 'resend'
+            };
+        }
+    };
+}
+
+module.exports = { createResendTransport };
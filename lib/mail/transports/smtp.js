@@ -0,0 +1,46 @@
+const nodemailer = require('nodemailer');
+
+// SMTP transport: delivers through any SMTP relay via nodemailer.
+// Options: { host, port, secure, user, pass, tls }
+function createSmtpTransport(options = {}) {
+    const { host, user, pass, tls = {} } = options;
+
+    if (!host) {
+        throw new Error('SMTP_HOST is not set in environment variables');
+    }
+
+    const port = Number(options.port || 587);
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure: options.secure !== undefined ? options.secure : port === 465,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: 10000,
+        tls: { ...tls }
+    });
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            const info = await transporter.sendMail({
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                html: message.html,
+                text: message.text,
+                replyTo: message.replyTo,
+                headers: message.headers,
+                attachments: message.attachments
+            });
+
+            return {
+                id: info.messageId,
+                provider: 'smtp'
+            };
+        }
+    };
+}
+
+module.exports = { createSmtpTransport };
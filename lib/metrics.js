@@ -0,0 +1,236 @@
+// Minimal Prometheus instrumentation: counters and histograms rendered in the
+// text exposition format (version 0.0.4) for GET /metrics.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function labelsFor(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+    const series = new Map();
+
+    return {
+        name,
+
+        inc(labels = {}, value = 1) {
+            const key = seriesKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + value);
+        },
+
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const [key, value] of series) {
+                lines.push(`${name}${formatLabels(labelsFor(labelNames, key))} ${value}`);
+            }
+            return lines.join('\n');
+        }
+    };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = new Map();
+
+    function observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+            entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+            series.set(key, entry);
+        }
+        buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    return {
+        name,
+        observe,
+
+        // Time a promise-returning call in seconds, whether it resolves or not
+        async time(labels, fn) {
+            const startedAt = process.hrtime.bigint();
+            try {
+                return await fn();
+            } finally {
+                observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+            }
+        },
+
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const [key, entry] of series) {
+                const labels = labelsFor(labelNames, key);
+                buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+            }
+            return lines.join('\n');
+        }
+    };
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    function register(metric) {
+        metrics.push(metric);
+        return metric;
+    }
+
+    return {
+        counter: options => register(createCounter(options)),
+        histogram: options => register(createHistogram(options)),
+        render: () => `${metrics.map(metric => metric.render()).join('\n')}\n`
+    };
+}
+
+// Process-wide registry and the metrics the app records
+const registry = createRegistry();
+
+const metrics = {
+    httpRequests: registry.counter({
+        name: 'http_requests_total',
+        help: 'HTTP requests by method, route and status code',
+        labelNames: ['method', 'route', 'status']
+    }),
+    httpRequestDuration: registry.histogram({
+        name: 'http_request_duration_seconds',
+        help: 'HTTP request latency by method and route',
+        labelNames: ['method', 'route']
+    }),
+    emailAttempts: registry.counter({
+        name: 'email_send_attempts_total',
+        help: 'Email send attempts by template',
+        labelNames: ['template']
+    }),
+    emailSuccesses: registry.counter({
+        name: 'email_send_successes_total',
+        help: 'Emails accepted by the mail transport, by template',
+        labelNames: ['template']
+    }),
+    emailFailures: registry.counter({
+        name: 'email_send_failures_total',
+        help: 'Failed email send attempts by template and outcome (retry, dead or suppressed)',
+        labelNames: ['template', 'outcome']
+    }),
+    emailRetries: registry.counter({
+        name: 'email_send_retries_total',
+        help: 'Email sends retried after a network error, by template',
+        labelNames: ['template']
+    }),
+    firestoreDuration: registry.histogram({
+        name: 'firestore_operation_duration_seconds',
+        help: 'Firestore operation latency by operation and result',
+        labelNames: ['operation', 'result']
+    })
+};
+
+// Express middleware recording request counts and latency. Routes are
+// labelled by their pattern (/api/admin/tickets/:id), never the raw URL.
+function httpMetrics() {
+    return (req, res, next) => {
+        const startedAt = process.hrtime.bigint();
+        res.on('finish', () => {
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            metrics.httpRequestDuration.observe({ method: req.method, route }, seconds);
+        });
+        next();
+    };
+}
+
+// Time every Firestore call made through the Admin SDK. Some operations are
+// implemented on top of others (DocumentReference#set commits a WriteBatch,
+// #get goes through Firestore#getAll); those inner calls start synchronously
+// inside the outer one, so a flag keeps them from being counted twice.
+let instrumented = false;
+
+function instrumentFirestore() {
+    if (instrumented) {
+        return;
+    }
+    instrumented = true;
+
+    const { DocumentReference, Query, WriteBatch, Firestore } = require('firebase-admin/firestore');
+    let active = false;
+
+    function wrap(prototype, method, operation) {
+        const original = prototype[method];
+        prototype[method] = function (...args) {
+            if (active) {
+                return original.apply(this, args);
+            }
+
+            const startedAt = process.hrtime.bigint();
+            const observe = result => metrics.firestoreDuration.observe(
+                { operation, result },
+                Number(process.hrtime.bigint() - startedAt) / 1e9
+            );
+
+            let promise;
+            active = true;
+            try {
+                promise = original.apply(this, args);
+            } finally {
+                active = false;
+            }
+
+            return promise.then(
+                value => {
+                    observe('ok');
+                    return value;
+                },
+                error => {
+                    observe('error');
+                    throw error;
+                }
+            );
+        };
+    }
+
+    for (const method of ['get', 'set', 'update', 'create', 'delete']) {
+        wrap(DocumentReference.prototype, method, `document.${method}`);
+    }
+    wrap(Query.prototype, 'get', 'query.get');
+    wrap(WriteBatch.prototype, 'commit', 'batch.commit');
+    wrap(Firestore.prototype, 'getAll', 'getAll');
+    wrap(Firestore.prototype, 'runTransaction', 'transaction');
+    wrap(Firestore.prototype, 'listCollections', 'listCollections');
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    createRegistry,
+    registry,
+    metrics,
+    httpMetrics,
+    instrumentFirestore
+};
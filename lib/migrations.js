@@ -0,0 +1,54 @@
+const admin = require('firebase-admin');
+const { createRegistrationRepository } = require('./registration-repository');
+const { logger } = require('./logger');
+
+const MIGRATIONS_COLLECTION = 'migrations';
+
+// One-off data fixes, applied in order. Each runs until it has completed
+// once; migrations/{id} records that. They must be safe to run twice, since
+// two instances starting together can both run one.
+const MIGRATIONS = [
+    {
+        id: '2026-10-registrations-created-at',
+        run: db => createRegistrationRepository(db).backfillCreatedAt()
+    }
+];
+
+// Runs in progress per datastore; startup and the retention purge both
+// call runMigrations and should share one run
+const running = new WeakMap();
+
+async function applyPending(db) {
+    const log = logger.child({ component: 'migrations' });
+    const applied = [];
+
+    for (const migration of MIGRATIONS) {
+        const ref = db.collection(MIGRATIONS_COLLECTION).doc(migration.id);
+        if ((await ref.get()).exists) {
+            continue;
+        }
+
+        const result = await migration.run(db);
+        await ref.set({
+            result: result === undefined ? null : result,
+            completedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        log.info('Migration applied', { migration: migration.id, result });
+        applied.push(migration.id);
+    }
+
+    return applied;
+}
+
+// Apply the migrations that have not completed yet
+function runMigrations(db) {
+    if (!running.has(db)) {
+        running.set(db, applyPending(db).finally(() => running.delete(db)));
+    }
+    return running.get(db);
+}
+
+module.exports = {
+    MIGRATIONS_COLLECTION,
+    runMigrations
+};
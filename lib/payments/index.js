@@ -0,0 +1,51 @@
+const { createRazorpayProvider } = require('./providers/razorpay');
+const { createFakeProvider } = require('./providers/fake');
+const { getConfig } = require('../config');
+
+// Every payment provider exposes the same interface:
+//   createOrder({ amount, currency, receipt, notes }) -> Promise<{ id, checkout }>
+//     `amount` is in the currency's minor unit (paise for INR); `checkout`
+//     is what the browser needs to collect the payment
+//   parseWebhook(headers, rawBody)
+//     -> { eventId, type, orderId, paymentId, amount, currency, error }
+//     after checking the signature (HttpError 401 when it does not match);
+//     `type` is paid, failed, or null for events we ignore
+const providers = {
+    razorpay: createRazorpayProvider,
+    fake: createFakeProvider
+};
+
+let defaultProvider;
+
+// Build a provider by name (razorpay or fake)
+function createPaymentProvider(name, options) {
+    const factory = providers[name];
+
+    if (!factory) {
+        throw new Error(`Unknown payment provider "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+    }
+
+    return factory(options);
+}
+
+// Shared provider selected through PAYMENT_PROVIDER, configured from its
+// section of the payments config
+function getPaymentProvider() {
+    if (!defaultProvider) {
+        const { payments } = getConfig();
+        defaultProvider = createPaymentProvider(payments.provider, payments[payments.provider]);
+    }
+
+    return defaultProvider;
+}
+
+// Replace the shared provider, e.g. with a fake in tests
+function setPaymentProvider(provider) {
+    defaultProvider = provider;
+}
+
+module.exports = {
+    createPaymentProvider,
+    getPaymentProvider,
+    setPaymentProvider
+};
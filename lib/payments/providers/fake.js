@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { HttpError } = require('../../errors');
+const { getConfig } = require('../../config');
+
+function sign(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// Local stand-in for a payment gateway. Orders exist only in our payments
+// collection. Their checkout page (/api/payments/fake/:orderId) pays by
+// posting itself a webhook signed with a per-process secret, so a payment
+// goes through the same webhook handling as a real one.
+// Options: { baseUrl, secret }
+function createFakeProvider(options = {}) {
+    const baseUrl = options.baseUrl || getConfig().publicUrl;
+    const secret = options.secret || crypto.randomBytes(32).toString('hex');
+
+    return {
+        name: 'fake',
+
+        async createOrder({ amount, currency }) {
+            const id = `order_fake_${crypto.randomBytes(8).toString('hex')}`;
+            return {
+                id,
+                checkout: { url: `${baseUrl}/api/payments/fake/${id}`, amount, currency }
+            };
+        },
+
+        // Signed webhook request for a successful payment of the order
+        simulatePayment({ orderId, amount, currency }) {
+            const body = JSON.stringify({
+                id: `evt_fake_${crypto.randomBytes(8).toString('hex')}`,
+                event: 'payment.captured',
+                payment: { id: `pay_fake_${crypto.randomBytes(8).toString('hex')}`, orderId, amount, currency }
+            });
+            return { headers: { 'x-fake-signature': sign(body, secret) }, body };
+        },
+
+        parseWebhook(headers, rawBody) {
+            const expected = Buffer.from(sign(rawBody, secret));
+            const received = Buffer.from(String(headers['x-fake-signature'] || ''));
+            if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+                throw new HttpError(401, 'Invalid webhook', 'Signature does not match');
+            }
+
+            let event;
+            try {
+                event = JSON.parse(rawBody);
+            } catch (error) {
+                throw new HttpError(400, 'Invalid webhook', 'Body is not valid JSON');
+            }
+
+            const payment = event.payment || {};
+            return {
+                eventId: event.id || null,
+                type: event.event === 'payment.captured' ? 'paid' : null,
+                orderId: payment.orderId || null,
+                paymentId: payment.id || null,
+                amount: payment.amount,
+                currency: payment.currency,
+                error: null
+            };
+        }
+    };
+}
+
+module.exports = { createFakeProvider };
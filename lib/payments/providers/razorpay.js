@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { HttpError } = require('../../errors');
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+// Events that mean the order has been paid. Razorpay sends both for the same
+// payment; the second one finds the order already paid.
+const PAID_EVENTS = ['payment.captured', 'order.paid'];
+
+function signatureMatches(signature, expected) {
+    const received = Buffer.from(String(signature || ''));
+    const wanted = Buffer.from(expected);
+    return received.length === wanted.length && crypto.timingSafeEqual(received, wanted);
+}
+
+// Razorpay provider: orders are created through the REST API and paid with
+// Razorpay Checkout in the browser.
+// Options: { keyId, keySecret, webhookSecret }
+function createRazorpayProvider(options = {}) {
+    const { keyId, keySecret, webhookSecret } = options;
+
+    if (!keyId || !keySecret || !webhookSecret) {
+        throw new Error('RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET must be set in environment variables');
+    }
+
+    const authorization = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+
+    return {
+        name: 'razorpay',
+
+        async createOrder({ amount, currency, receipt, notes }) {
+            const response = await fetch(`${API_URL}/orders`, {
+                method: 'POST',
+                headers: {
+                    Authorization: authorization,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ amount, currency, receipt, notes }),
+                signal: AbortSignal.timeout(10000)
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(`Razorpay order creation failed: ${(result.error && result.error.description) || `HTTP ${response.status}`}`);
+            }
+
+            return {
+                id: result.id,
+                // Options for Razorpay Checkout
+                checkout: { keyId, orderId: result.id, amount: result.amount, currency: result.currency }
+            };
+        },
+
+        // X-Razorpay-Signature is the hex HMAC-SHA256 of the raw body
+        parseWebhook(headers, rawBody) {
+            const expected = crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+            if (!signatureMatches(headers['x-razorpay-signature'], expected)) {
+                throw new HttpError(401, 'Invalid webhook', 'Signature does not match');
+            }
+
+            let event;
+            try {
+                event = JSON.parse(rawBody);
+            } catch (error) {
+                throw new HttpError(400, 'Invalid webhook', 'Body is not valid JSON');
+            }
+
+            const payment = (event.payload && event.payload.payment && event.payload.payment.entity) || {};
+            let type = null;
+            if (PAID_EVENTS.includes(event.event)) {
+                type = 'paid';
+            } else if (event.event === 'payment.failed') {
+                type = 'failed';
+            }
+
+            return {
+                eventId: headers['x-razorpay-event-id'] || null,
+                type,
+                orderId: payment.order_id || null,
+                paymentId: payment.id || null,
+                amount: payment.amount,
+                currency: payment.currency,
+                error: payment.error_description || null
+            };
+        }
+    };
+}
+
+module.exports = { createRazorpayProvider };
@@ -0,0 +1,339 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { renderEmail } = require('./mail/templates');
+const { normalizeLocale } = require('./mail/templates/locales');
+const { buildEmailJob, OUTBOX_COLLECTION } = require('./mail/queue');
+const { createRegistrationRepository } = require('./registration-repository');
+const { TICKETS_COLLECTION } = require('./tickets');
+const { CAMPAIGN_RECIPIENTS_COLLECTION } = require('./campaigns');
+const { SUPPRESSIONS_COLLECTION, normalizeEmail } = require('./suppressions');
+const { PAYMENTS_COLLECTION } = require('./fees');
+const { logger, currentRequestId } = require('./logger');
+const { getConfig } = require('./config');
+
+const PRIVACY_REQUESTS_COLLECTION = 'privacy_requests';
+
+// pending -> erasing -> completed. A link exports as often as the applicant
+// likes until it expires; erasing spends it.
+const ERASE_MODES = ['delete', 'anonymize'];
+
+// 32 random bytes, base64url-encoded. Only the SHA-256 of the token is stored
+// (as the request id), so a leaked database does not leak working links.
+const TOKEN_PATTERN = /^[\w-]{43}$/;
+
+const ANONYMIZED_NAME = 'Anonymized applicant';
+const REDACTED = '[redacted]';
+// Firestore batches hold at most 500 writes
+const WRITE_BATCH_SIZE = 400;
+
+function plain(value) {
+    if (value && typeof value.toDate === 'function') {
+        return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(plain);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, plain(entry)]));
+    }
+    return value;
+}
+
+function serialize(doc) {
+    return { id: doc.id, ...plain(doc.data()) };
+}
+
+// Email log entry without the rendered HTML and attachments; the plain-text
+// body carries the same content
+function serializeEmail(doc) {
+    const { message = {}, ...job } = doc.data();
+    const { from, to, replyTo, subject, text } = message;
+    return { id: doc.id, ...plain(job), message: { from, to, replyTo, subject, text } };
+}
+
+// Registrations and tickets from before addresses were lowercased store them
+// as typed, so look up both forms (as lib/results.js does)
+function addressesFor(email, submittedEmail) {
+    return [...new Set([email, String(submittedEmail || '').trim()].filter(Boolean))];
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createPrivacyDesk(db, options = {}) {
+    const requestsRef = db.collection(PRIVACY_REQUESTS_COLLECTION);
+    const outboxRef = db.collection(OUTBOX_COLLECTION);
+    const registrations = createRegistrationRepository(db);
+    const { mail, privacy } = getConfig();
+    const sender = options.sender || mail.from;
+    const replyTo = options.replyTo || mail.replyTo;
+    const baseUrl = options.baseUrl || getConfig().publicUrl;
+    const linkTtlMinutes = options.linkTtlMinutes || privacy.linkTtlMinutes;
+    const onQueued = options.onQueued || (() => {});
+
+    // Everything stored about one address. `email` is lowercased;
+    // `submittedEmail` is the address as the applicant typed it.
+    async function findRecords(email, submittedEmail) {
+        const addresses = addressesFor(email, submittedEmail);
+        const [registrationDocs, tickets, sentTo, repliesTo, recipients, suppressions, payments, requests] = await Promise.all([
+            registrations.findByEmails(addresses),
+            db.collection(TICKETS_COLLECTION).where('email', 'in', addresses).get(),
+            outboxRef.where('message.to', 'array-contains-any', addresses).get(),
+            // Contact form notifications go to the inbox with the applicant as Reply-To
+            outboxRef.where('message.replyTo', 'in', addresses).get(),
+            db.collection(CAMPAIGN_RECIPIENTS_COLLECTION).where('email', 'in', addresses).get(),
+            db.collection(SUPPRESSIONS_COLLECTION).where('email', '==', email).get(),
+            db.collection(PAYMENTS_COLLECTION).where('email', 'in', addresses).get(),
+            requestsRef.where('email', '==', email).get()
+        ]);
+
+        const emails = new Map([...sentTo.docs, ...repliesTo.docs].map(doc => [doc.id, doc]));
+
+        return {
+            registrations: registrationDocs,
+            contactMessages: tickets.docs,
+            emails: [...emails.values()],
+            campaignRecipients: recipients.docs,
+            suppressions: suppressions.docs,
+            payments: payments.docs,
+            privacyRequests: requests.docs
+        };
+    }
+
+    function holdsData(records) {
+        return records.registrations.length > 0 || records.contactMessages.length > 0 ||
+            records.emails.length > 0 || records.campaignRecipients.length > 0;
+    }
+
+    async function commitWrites(writes) {
+        for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+            const batch = db.batch();
+            writes.slice(i, i + WRITE_BATCH_SIZE).forEach(write => write(batch));
+            await batch.commit();
+        }
+    }
+
+    // Email a one-time link for the address. Callers answer the same way
+    // whether or not we hold anything, so the endpoint cannot be used to find
+    // out who has applied; the link is only sent when there is data.
+    async function requestAccess({ email, locale }) {
+        const address = normalizeEmail(email);
+        const submittedEmail = String(email).trim();
+        const records = await findRecords(address, submittedEmail);
+
+        if (!holdsData(records)) {
+            logger.info('Privacy request for an address without data', { email: address });
+            return { sent: false };
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const requestRef = requestsRef.doc(hashToken(token));
+        const jobRef = outboxRef.doc();
+        const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + linkTtlMinutes * 60 * 1000);
+        const registration = records.registrations[0];
+        const preferred = normalizeLocale(locale) || (registration && registration.get('locale')) || null;
+
+        const batch = db.batch();
+        batch.set(requestRef, {
+            email: address,
+            submittedEmail,
+            locale: preferred,
+            status: 'pending',
+            expiresAt,
+            exportCount: 0,
+            linkJobId: jobRef.id,
+            requestId: currentRequestId(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        batch.set(jobRef, buildEmailJob({
+            from: sender,
+            to: [address],
+            ...renderEmail('privacyLink', {
+                email: address,
+                link: `${baseUrl}/api/privacy/${token}`,
+                expiresInMinutes: linkTtlMinutes
+            }, { locale: preferred }),
+            replyTo
+        }, { kind: 'privacyLink' }));
+        await batch.commit();
+
+        logger.info('Privacy link queued', { email: address, privacyRequestId: requestRef.id, jobId: jobRef.id });
+        onQueued();
+
+        return { sent: true, jobId: jobRef.id };
+    }
+
+    function assertUsable(doc) {
+        if (!doc.exists) {
+            throw new HttpError(404, 'Link not found', 'This link is not valid. Please request a new one.');
+        }
+        if (doc.get('status') !== 'pending') {
+            throw new HttpError(410, 'Link already used', 'Your data has already been erased with this link.');
+        }
+        if (doc.get('expiresAt').toMillis() <= Date.now()) {
+            throw new HttpError(410, 'Link expired', 'This link has expired. Please request a new one.');
+        }
+    }
+
+    function requestRefFor(token) {
+        if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+            throw new HttpError(404, 'Link not found', 'This link is not valid. Please request a new one.');
+        }
+        return requestsRef.doc(hashToken(token));
+    }
+
+    // The address and expiry behind a link, for the page it opens
+    async function describeRequest(token) {
+        const doc = await requestRefFor(token).get();
+        assertUsable(doc);
+        return {
+            email: doc.get('email'),
+            expiresAt: plain(doc.get('expiresAt'))
+        };
+    }
+
+    // JSON copy of everything held about the link's address
+    async function exportData(token) {
+        const ref = requestRefFor(token);
+        const doc = await ref.get();
+        assertUsable(doc);
+
+        const email = doc.get('email');
+        const records = await findRecords(email, doc.get('submittedEmail'));
+
+        await ref.update({
+            exportCount: admin.firestore.FieldValue.increment(1),
+            lastExportedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        logger.info('Privacy export generated', { email, privacyRequestId: ref.id });
+
+        return {
+            email,
+            generatedAt: new Date().toISOString(),
+            registrations: records.registrations.map(serialize),
+            contactMessages: records.contactMessages.map(serialize),
+            emails: records.emails.map(serializeEmail),
+            campaignRecipients: records.campaignRecipients.map(serialize),
+            suppressions: records.suppressions.map(serialize),
+            payments: records.payments.map(serialize),
+            // Request ids are token hashes, so they are left out
+            privacyRequests: records.privacyRequests.map(doc => plain(doc.data()))
+        };
+    }
+
+    // Remove every record outright
+    function deletions(records) {
+        return [
+            ...records.registrations,
+            ...records.contactMessages,
+            ...records.emails,
+            ...records.campaignRecipients
+        ].map(doc => batch => batch.delete(doc.ref));
+    }
+
+    // Keep registrations and tickets for statistics (course, status, scores,
+    // dates) but strip what identifies the applicant. Email logs and campaign
+    // recipients only record deliveries, so they are deleted either way.
+    // Registration ids are derived from the address, so anonymized
+    // registrations move to a random id (and their payments follow); the
+    // applicant can then register again like anyone new.
+    function anonymizations(records, alias) {
+        const anonymizedAt = admin.firestore.FieldValue.serverTimestamp();
+        const remove = admin.firestore.FieldValue.delete();
+
+        return [
+            ...records.registrations.map(doc => batch => {
+                const { lastEmailError, requestId, ...kept } = doc.data();
+                const movedRef = doc.ref.parent.doc();
+                batch.set(movedRef, { ...kept, email: alias, name: ANONYMIZED_NAME, anonymizedAt });
+                batch.delete(doc.ref);
+                records.payments
+                    .filter(payment => payment.get('registrationId') === doc.id)
+                    .forEach(payment => batch.update(payment.ref, { registrationId: movedRef.id }));
+            }),
+            ...records.contactMessages.map(doc => batch => batch.update(doc.ref, {
+                email: alias,
+                name: ANONYMIZED_NAME,
+                subject: REDACTED,
+                message: REDACTED,
+                thread: [],
+                requestId: remove,
+                anonymizedAt
+            })),
+            ...[...records.emails, ...records.campaignRecipients].map(doc => batch => batch.delete(doc.ref))
+        ];
+    }
+
+    // Delete or anonymize everything held about the link's address and spend
+    // the link. Suppression entries are kept so bounces and unsubscribes are
+    // still honored, and fee payments because invoices are accounting
+    // records; course seat counts are left alone.
+    async function eraseData(token, { mode }) {
+        if (!ERASE_MODES.includes(mode)) {
+            throw new HttpError(400, 'Invalid mode', `mode must be one of: ${ERASE_MODES.join(', ')}`);
+        }
+
+        const ref = requestRefFor(token);
+
+        // Claim the link first so a double submit cannot run twice
+        const { email, submittedEmail } = await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            assertUsable(doc);
+            transaction.update(ref, { status: 'erasing', mode });
+            return { email: doc.get('email'), submittedEmail: doc.get('submittedEmail') };
+        });
+
+        try {
+            const records = await findRecords(email, submittedEmail);
+            // Other links for the address would expose the anonymized records
+            const otherRequests = records.privacyRequests.filter(doc => doc.id !== ref.id);
+            const alias = `anonymized-${crypto.randomUUID()}@anonymized.invalid`;
+            const writes = mode === 'delete' ? deletions(records) : anonymizations(records, alias);
+
+            await commitWrites([...writes, ...otherRequests.map(doc => batch => batch.delete(doc.ref))]);
+
+            const counts = {
+                registrations: records.registrations.length,
+                contactMessages: records.contactMessages.length,
+                emails: records.emails.length,
+                campaignRecipients: records.campaignRecipients.length
+            };
+
+            await ref.update({
+                status: 'completed',
+                email: admin.firestore.FieldValue.delete(),
+                submittedEmail: admin.firestore.FieldValue.delete(),
+                counts,
+                erasedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            logger.info('Privacy erasure completed', { privacyRequestId: ref.id, mode, counts });
+
+            return {
+                mode,
+                counts,
+                retained: { suppressions: records.suppressions.length, payments: records.payments.length }
+            };
+        } catch (error) {
+            // Hand the link back so the applicant can try again
+            await ref.update({ status: 'pending', mode: admin.firestore.FieldValue.delete() }).catch(revertError => {
+                logger.error('Failed to reopen privacy request', { privacyRequestId: ref.id, error: revertError });
+            });
+            throw error;
+        }
+    }
+
+    return {
+        requestAccess,
+        describeRequest,
+        exportData,
+        eraseData
+    };
+}
+
+module.exports = {
+    PRIVACY_REQUESTS_COLLECTION,
+    ERASE_MODES,
+    createPrivacyDesk
+};
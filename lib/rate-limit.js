@@ -0,0 +1,143 @@
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+const { logger } = require('./logger');
+
+const RATE_LIMITS_COLLECTION = 'rate_limits';
+
+// Sliding-window counter: the count for the current fixed window plus the
+// previous window's count weighted by how much of it still overlaps the
+// sliding window. Stores only need to keep two counters per key.
+function estimate({ current, previous, windowStart }, windowMs, now) {
+    const overlap = 1 - (now - windowStart) / windowMs;
+    return current + previous * Math.max(overlap, 0);
+}
+
+// In-process counters; limits are per instance
+function createMemoryStore() {
+    const windows = new Map();
+
+    // Drop counters that can no longer affect any window
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of windows) {
+            if (now - entry.windowStart >= 2 * entry.windowMs) {
+                windows.delete(key);
+            }
+        }
+    }, 60000);
+    sweeper.unref();
+
+    return {
+        name: 'memory',
+
+        async hit(key, windowMs, now = Date.now()) {
+            const windowStart = Math.floor(now / windowMs) * windowMs;
+            let entry = windows.get(key);
+
+            if (!entry || entry.windowStart !== windowStart) {
+                const previous = entry && entry.windowStart === windowStart - windowMs ? entry.current : 0;
+                entry = { windowStart, windowMs, current: 0, previous };
+                windows.set(key, entry);
+            }
+
+            entry.current++;
+            return { current: entry.current, previous: entry.previous, windowStart };
+        }
+    };
+}
+
+// Counters shared by every instance through Firestore. Documents carry an
+// `expiresAt` field, so a Firestore TTL policy on it keeps the collection small.
+function createFirestoreStore(db) {
+    const limitsRef = db.collection(RATE_LIMITS_COLLECTION);
+
+    return {
+        name: 'firestore',
+
+        async hit(key, windowMs, now = Date.now()) {
+            const windowStart = Math.floor(now / windowMs) * windowMs;
+            const id = encodeURIComponent(key);
+            const currentRef = limitsRef.doc(`${id}:${windowStart}`);
+            const previousRef = limitsRef.doc(`${id}:${windowStart - windowMs}`);
+
+            return db.runTransaction(async (transaction) => {
+                const [currentDoc, previousDoc] = await transaction.getAll(currentRef, previousRef);
+                const current = (currentDoc.exists ? currentDoc.get('count') : 0) + 1;
+
+                transaction.set(currentRef, {
+                    key,
+                    count: current,
+                    windowStart,
+                    expiresAt: admin.firestore.Timestamp.fromMillis(windowStart + 2 * windowMs)
+                });
+
+                return {
+                    current,
+                    previous: previousDoc.exists ? previousDoc.get('count') : 0,
+                    windowStart
+                };
+            });
+        }
+    };
+}
+
+function createRateLimitStore(name, db) {
+    if (name === 'memory') {
+        return createMemoryStore();
+    }
+    if (name === 'firestore') {
+        return createFirestoreStore(db);
+    }
+    throw new Error(`Unknown rate limit store "${name}". Expected memory or firestore`);
+}
+
+// Client address for per-IP limits. Express sets req.ip (honoring TRUST_PROXY);
+// serverless platforms only pass the forwarding header their proxy sets.
+function clientIp(req) {
+    if (req.ip) {
+        return req.ip;
+    }
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) {
+        return String(forwarded).split(',')[0].trim();
+    }
+    return req.socket && req.socket.remoteAddress;
+}
+
+// Middleware allowing `limit` requests per `windowMs` for each key that
+// `keyFor(req)` returns. Requests without a key are not limited.
+function rateLimit({ store, name, limit, windowMs, keyFor, message }) {
+    return async (req, res, next) => {
+        const key = keyFor(req);
+        if (!key) {
+            return next();
+        }
+
+        try {
+            const now = Date.now();
+            const counts = await store.hit(`${name}:${key}`, windowMs, now);
+
+            if (estimate(counts, windowMs, now) > limit) {
+                const retryAfter = Math.ceil((counts.windowStart + windowMs - now) / 1000);
+                res.setHeader('Retry-After', String(Math.max(retryAfter, 1)));
+                return next(new HttpError(429, 'Too many requests', message || 'Too many requests. Please try again later.'));
+            }
+
+            next();
+        } catch (error) {
+            // Fail open: a counter outage should not take the forms down
+            logger.error('Rate limiter failed', { limiter: name, error });
+            next();
+        }
+    };
+}
+
+module.exports = {
+    RATE_LIMITS_COLLECTION,
+    estimate,
+    createMemoryStore,
+    createFirestoreStore,
+    createRateLimitStore,
+    clientIp,
+    rateLimit
+};
@@ -0,0 +1,122 @@
+const admin = require('firebase-admin');
+
+const REGISTRATIONS_COLLECTION = 'internship_registrations';
+
+// Firestore "in" filters accept at most 30 values
+const EMAIL_CHUNK_SIZE = 30;
+// Documents read per page by the backfill; updates go in batches of the same size
+const BACKFILL_PAGE_SIZE = 400;
+
+// Earliest timestamp a registration from before createdAt existed carries.
+// Those documents were written with emailSentAt and lastEmailAttempt only.
+function legacyCreatedAt(data) {
+    const candidates = [data.emailSentAt, data.lastEmailAttempt]
+        .filter(value => value && typeof value.toMillis === 'function');
+    if (candidates.length === 0) {
+        return null;
+    }
+    return candidates.reduce((earliest, value) => (value.toMillis() < earliest.toMillis() ? value : earliest));
+}
+
+// Every read and write of internship_registrations goes through here. `db`
+// is Firestore or the in-memory datastore from lib/datastore, so the same
+// queries run against either.
+function createRegistrationRepository(db) {
+    const collection = db.collection(REGISTRATIONS_COLLECTION);
+
+    function ref(id) {
+        return collection.doc(String(id));
+    }
+
+    // Snapshot of one registration (check .exists)
+    function get(id) {
+        return ref(id).get();
+    }
+
+    function update(id, fields) {
+        return ref(id).update(fields);
+    }
+
+    // Query for the given addresses, for reads inside a transaction
+    function byEmails(emails) {
+        return collection.where('email', 'in', emails);
+    }
+
+    async function findByEmail(email) {
+        const snapshot = await collection.where('email', '==', email).get();
+        return snapshot.docs;
+    }
+
+    // Registrations for any of `emails`, however many there are
+    async function findByEmails(emails) {
+        const unique = [...new Set(emails)];
+        const docs = [];
+
+        for (let i = 0; i < unique.length; i += EMAIL_CHUNK_SIZE) {
+            const snapshot = await byEmails(unique.slice(i, i + EMAIL_CHUNK_SIZE)).get();
+            docs.push(...snapshot.docs);
+        }
+
+        return docs;
+    }
+
+    async function findBySlot(slotId) {
+        const snapshot = await collection.where('examSlotId', '==', slotId).get();
+        return snapshot.docs;
+    }
+
+    // Registration whose last email got this provider message ID, or null
+    async function findByMessageId(messageId) {
+        const snapshot = await collection.where('lastEmailMessageId', '==', messageId).limit(1).get();
+        return snapshot.empty ? null : snapshot.docs[0];
+    }
+
+    // Give every registration without createdAt one. Ordering, date filters
+    // and the retention purge all use createdAt, and Firestore leaves out
+    // documents that lack the field. Returns how many were updated.
+    async function backfillCreatedAt() {
+        const query = collection.orderBy(admin.firestore.FieldPath.documentId()).limit(BACKFILL_PAGE_SIZE);
+        let last = null;
+        let updated = 0;
+
+        for (;;) {
+            const snapshot = await (last ? query.startAfter(last) : query).get();
+            const missing = snapshot.docs.filter(doc => !doc.get('createdAt'));
+
+            if (missing.length > 0) {
+                const batch = db.batch();
+                for (const doc of missing) {
+                    batch.update(doc.ref, {
+                        createdAt: legacyCreatedAt(doc.data()) || admin.firestore.FieldValue.serverTimestamp(),
+                        createdAtBackfilled: true
+                    });
+                }
+                await batch.commit();
+                updated += missing.length;
+            }
+
+            if (snapshot.size < BACKFILL_PAGE_SIZE) {
+                return updated;
+            }
+            last = snapshot.docs[snapshot.size - 1];
+        }
+    }
+
+    return {
+        collection,
+        ref,
+        get,
+        update,
+        byEmails,
+        findByEmail,
+        findByEmails,
+        findBySlot,
+        findByMessageId,
+        backfillCreatedAt
+    };
+}
+
+module.exports = {
+    REGISTRATIONS_COLLECTION,
+    createRegistrationRepository
+};
@@ -0,0 +1,192 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { renderEmail } = require('./mail/templates');
+const { normalizeLocale } = require('./mail/templates/locales');
+const { buildEmailJob, OUTBOX_COLLECTION } = require('./mail/queue');
+const { COURSES_COLLECTION, serializeCourse, assertCourseOpen } = require('./courses');
+const { INITIAL_STATUS, historyEntry } = require('./lifecycle');
+const { createRegistrationRepository } = require('./registration-repository');
+const { logger, currentRequestId } = require('./logger');
+const { getConfig } = require('./config');
+
+function normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+}
+
+// One document per applicant and course, so concurrent submissions for the
+// same pair land on the same document instead of creating duplicates
+function registrationId(email, courseCode) {
+    return crypto
+        .createHash('sha256')
+        .update(`${normalizeEmail(email)}\n${courseCode}`)
+        .digest('hex')
+        .slice(0, 40);
+}
+
+function createRegistrationService(db, options) {
+    const { examScheduler } = options;
+    const registrations = createRegistrationRepository(db);
+    const coursesRef = db.collection(COURSES_COLLECTION);
+    const { mail } = getConfig();
+    const sender = options.from || mail.from;
+    const replyTo = options.replyTo || mail.replyTo;
+    // Confirmation sends allowed per registration before we stop retrying
+    const maxAttempts = options.maxAttempts || mail.maxAttempts;
+    const onQueued = options.onQueued || (() => {});
+
+    function confirmationMessage({ email, name, course, slot, id, locale }) {
+        return {
+            from: sender,
+            to: [email],
+            ...renderEmail('confirmation', {
+                name,
+                courseName: course.title,
+                ...(slot ? examScheduler.describeSlot(slot, locale) : {})
+            }, { locale }),
+            replyTo,
+            attachments: slot ? [examScheduler.buildSlotAttachment(slot, id)] : undefined
+        };
+    }
+
+    // Registrations made before ids were derived from email + course
+    function findLegacyRegistration(snapshot, id, course) {
+        return snapshot.docs.find(doc => doc.id !== id &&
+            (doc.get('courseCode') === course.code || (!doc.get('courseCode') && doc.get('course') === course.title)));
+    }
+
+    // Register an applicant for a course and queue the confirmation email.
+    // Everything is read and written in one transaction, so two concurrent
+    // submissions cannot both create the registration or both take the last
+    // seat. Returns { outcome, registrationId, jobId } where outcome is one of
+    // queued, alreadyQueued, alreadySent or tooManyAttempts. `locale` picks
+    // the language of this and every later email to the applicant.
+    async function register({ name, email, course: courseCode, locale: requestedLocale }) {
+        const address = normalizeEmail(email);
+        const locale = normalizeLocale(requestedLocale);
+        const code = String(courseCode).trim().toLowerCase();
+        const id = registrationId(address, code);
+        const registrationRef = registrations.ref(id);
+        const courseRef = coursesRef.doc(code);
+        const slotRefs = await examScheduler.findSlotCandidates(code);
+
+        const result = await db.runTransaction(async (transaction) => {
+            const [registrationDoc, courseDoc, ...slotDocs] = await transaction.getAll(registrationRef, courseRef, ...slotRefs);
+            const legacyDocs = await transaction.get(registrations.byEmails([...new Set([address, String(email).trim()])]));
+
+            const course = courseDoc.exists ? serializeCourse(courseDoc) : null;
+            const existingDoc = registrationDoc.exists ?
+                registrationDoc :
+                course && findLegacyRegistration(legacyDocs, id, course);
+            const existing = existingDoc ? existingDoc.data() : null;
+
+            if (existing) {
+                if (existing.confirmationEmailSent) {
+                    return { outcome: 'alreadySent', registrationId: existingDoc.id };
+                }
+                if ((existing.emailAttempts || 0) >= maxAttempts) {
+                    return { outcome: 'tooManyAttempts', registrationId: existingDoc.id };
+                }
+                if (existing.confirmationEmailStatus === 'queued') {
+                    return { outcome: 'alreadyQueued', registrationId: existingDoc.id, jobId: existing.confirmationEmailJobId };
+                }
+            }
+
+            const jobRef = db.collection(OUTBOX_COLLECTION).doc();
+
+            // Retry of an earlier registration: re-queue the confirmation
+            // with the slot that was already assigned, in the language asked
+            // for now if any
+            if (existing) {
+                const slot = existing.examSlotId ?
+                    await examScheduler.getSlot(existing.examSlotId).catch(() => null) :
+                    null;
+                const retryLocale = locale || existing.locale || null;
+
+                transaction.set(jobRef, buildEmailJob(confirmationMessage({
+                    email: existing.email,
+                    name: existing.name,
+                    course: course || { title: existing.course },
+                    slot,
+                    id: existingDoc.id,
+                    locale: retryLocale
+                }), { kind: 'confirmation', registrationId: existingDoc.id }));
+                transaction.update(existingDoc.ref, {
+                    confirmationEmailStatus: 'queued',
+                    confirmationEmailJobId: jobRef.id,
+                    locale: retryLocale
+                });
+
+                return { outcome: 'queued', registrationId: existingDoc.id, jobId: jobRef.id };
+            }
+
+            // New registration: the course must be open and have a seat
+            assertCourseOpen(course, code);
+            const slot = examScheduler.pickSlot(slotDocs);
+            if (!slot) {
+                logger.warn('No exam slot available for course', { course: code });
+            }
+
+            transaction.set(registrationRef, {
+                email: address,
+                name,
+                course: course.title,
+                courseCode: course.code,
+                locale,
+                status: INITIAL_STATUS,
+                statusHistory: [historyEntry(null, INITIAL_STATUS)],
+                examSlotId: slot ? slot.id : null,
+                examStartsAt: slot ? admin.firestore.Timestamp.fromDate(new Date(slot.startsAt)) : null,
+                confirmationEmailSent: false,
+                confirmationEmailStatus: 'queued',
+                confirmationEmailJobId: jobRef.id,
+                emailAttempts: 0,
+                requestId: currentRequestId(),
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.update(courseRef, {
+                registeredCount: admin.firestore.FieldValue.increment(1)
+            });
+            if (slot) {
+                transaction.update(slotDocs.find(doc => doc.id === slot.id).ref, {
+                    assignedCount: admin.firestore.FieldValue.increment(1)
+                });
+            }
+            transaction.set(jobRef, buildEmailJob(confirmationMessage({ email: address, name, course, slot, id, locale }), {
+                kind: 'confirmation',
+                registrationId: id
+            }));
+
+            return { outcome: 'queued', registrationId: id, jobId: jobRef.id, created: true };
+        });
+
+        if (result.outcome === 'queued') {
+            onQueued(result.jobId);
+        }
+
+        return result;
+    }
+
+    // Every course registration held by one applicant
+    async function listForApplicant(email) {
+        const docs = await registrations.findByEmail(normalizeEmail(email));
+        return docs.map(doc => ({
+            id: doc.id,
+            course: doc.get('course'),
+            courseCode: doc.get('courseCode') || null,
+            locale: doc.get('locale') || null,
+            status: doc.get('status') || INITIAL_STATUS,
+            confirmationEmailSent: doc.get('confirmationEmailSent') === true,
+            confirmationEmailStatus: doc.get('confirmationEmailStatus') || null
+        }));
+    }
+
+    return {
+        register,
+        listForApplicant
+    };
+}
+
+module.exports = {
+    registrationId,
+    createRegistrationService
+};
@@ -0,0 +1,226 @@
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+const { STATUSES } = require('./lifecycle');
+const { createRegistrationRepository } = require('./registration-repository');
+
+const SORT_FIELDS = ['createdAt', 'emailSentAt', 'lastEmailAttempt'];
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+// Upper bound on documents read to fill one filtered page
+const MAX_SCAN = 1000;
+const EXPORT_PAGE_SIZE = 500;
+
+const EXPORT_COLUMNS = [
+    'id', 'name', 'email', 'courseCode', 'course', 'status', 'examSlotId', 'examScore',
+    'scholarshipTier', 'confirmationEmailSent', 'emailAttempts', 'lastEmailError',
+    'createdAt', 'emailSentAt', 'lastEmailAttempt'
+];
+
+function toDate(value, field) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new HttpError(400, 'Invalid filter', `${field} must be a valid date`);
+    }
+    return date;
+}
+
+function toInteger(value, field) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new HttpError(400, 'Invalid filter', `${field} must be a non-negative integer`);
+    }
+    return number;
+}
+
+// Convert Firestore values (including history entries) to JSON-friendly ones
+function plain(value) {
+    if (value && typeof value.toDate === 'function') {
+        return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(plain);
+    }
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, plain(entry)]));
+    }
+    return value;
+}
+
+function serializeRegistration(doc) {
+    return { id: doc.id, ...plain(doc.data()) };
+}
+
+function encodeCursor(id) {
+    return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(String(cursor), 'base64url').toString()).id;
+    } catch (error) {
+        throw new HttpError(400, 'Invalid cursor', 'The pagination cursor is malformed');
+    }
+}
+
+// Parse query-string filters shared by the list and export endpoints
+function parseFilters(query = {}) {
+    const filters = {
+        sort: query.sort || 'createdAt',
+        order: query.order === 'asc' ? 'asc' : 'desc'
+    };
+
+    if (!SORT_FIELDS.includes(filters.sort)) {
+        throw new HttpError(400, 'Invalid filter', `sort must be one of: ${SORT_FIELDS.join(', ')}`);
+    }
+    if (query.course) {
+        filters.courseCode = String(query.course).toLowerCase();
+    }
+    if (query.emailSent !== undefined) {
+        if (!['true', 'false'].includes(String(query.emailSent))) {
+            throw new HttpError(400, 'Invalid filter', 'emailSent must be true or false');
+        }
+        filters.emailSent = String(query.emailSent) === 'true';
+    }
+    if (query.status) {
+        if (!STATUSES.includes(query.status)) {
+            throw new HttpError(400, 'Invalid filter', `status must be one of: ${STATUSES.join(', ')}`);
+        }
+        filters.status = query.status;
+    }
+    if (query.minAttempts !== undefined) {
+        filters.minAttempts = toInteger(query.minAttempts, 'minAttempts');
+    }
+    if (query.maxAttempts !== undefined) {
+        filters.maxAttempts = toInteger(query.maxAttempts, 'maxAttempts');
+    }
+    // The date range applies to the sort field
+    if (query.from) {
+        filters.from = toDate(query.from, 'from');
+    }
+    if (query.to) {
+        filters.to = toDate(query.to, 'to');
+    }
+    filters.limit = query.limit === undefined ? DEFAULT_LIMIT : Math.min(toInteger(query.limit, 'limit') || DEFAULT_LIMIT, MAX_LIMIT);
+    if (query.cursor) {
+        filters.cursor = decodeCursor(query.cursor);
+    }
+
+    return filters;
+}
+
+// Attempt counts are filtered in memory so every filter combination works
+// with the single-field and (course/status/emailSent + sort) indexes
+function matchesAttempts(doc, filters) {
+    const attempts = doc.get('emailAttempts') || 0;
+    return (filters.minAttempts === undefined || attempts >= filters.minAttempts) &&
+        (filters.maxAttempts === undefined || attempts <= filters.maxAttempts);
+}
+
+function createRegistrationQueries(db) {
+    const repository = createRegistrationRepository(db);
+
+    // Ordering on the sort field leaves out documents that do not have it,
+    // e.g. sorting by emailSentAt only lists registrations that were emailed.
+    // Registrations stored before createdAt existed get it from the backfill
+    // in lib/migrations.js.
+    function buildQuery(filters) {
+        let query = repository.collection;
+
+        if (filters.courseCode) {
+            query = query.where('courseCode', '==', filters.courseCode);
+        }
+        if (filters.emailSent !== undefined) {
+            query = query.where('confirmationEmailSent', '==', filters.emailSent);
+        }
+        if (filters.status) {
+            query = query.where('status', '==', filters.status);
+        }
+        if (filters.from) {
+            query = query.where(filters.sort, '>=', admin.firestore.Timestamp.fromDate(filters.from));
+        }
+        if (filters.to) {
+            query = query.where(filters.sort, '<=', admin.firestore.Timestamp.fromDate(filters.to));
+        }
+
+        // Without a sort field (campaign audiences) every document matches
+        if (filters.sort) {
+            query = query.orderBy(filters.sort, filters.order);
+        }
+        return query.orderBy(admin.firestore.FieldPath.documentId(), filters.order);
+    }
+
+    async function startAfterDoc(query, id) {
+        const doc = await repository.get(id);
+        if (!doc.exists) {
+            throw new HttpError(400, 'Invalid cursor', 'The pagination cursor no longer points at a registration');
+        }
+        return query.startAfter(doc);
+    }
+
+    async function listRegistrations(filters) {
+        const baseQuery = buildQuery(filters);
+        const registrations = [];
+        let query = filters.cursor ? await startAfterDoc(baseQuery, filters.cursor) : baseQuery;
+        let lastDoc = null;
+        let scanned = 0;
+        let hasMore = true;
+
+        while (registrations.length < filters.limit && scanned < MAX_SCAN) {
+            const snapshot = await query.limit(filters.limit).get();
+            scanned += snapshot.size;
+
+            for (const doc of snapshot.docs) {
+                if (registrations.length === filters.limit) {
+                    break;
+                }
+                lastDoc = doc;
+                if (matchesAttempts(doc, filters)) {
+                    registrations.push(serializeRegistration(doc));
+                }
+            }
+
+            // A short page that was read to the end means nothing is left
+            if (snapshot.empty || (snapshot.size < filters.limit && lastDoc === snapshot.docs[snapshot.size - 1])) {
+                hasMore = false;
+                break;
+            }
+            query = baseQuery.startAfter(lastDoc);
+        }
+
+        return {
+            registrations,
+            nextCursor: lastDoc && hasMore ? encodeCursor(lastDoc.id) : null
+        };
+    }
+
+    // Walk every matching registration page by page
+    async function forEachRegistration(filters, onRegistration) {
+        const baseQuery = buildQuery(filters);
+        let query = baseQuery;
+
+        for (;;) {
+            const snapshot = await query.limit(EXPORT_PAGE_SIZE).get();
+            for (const doc of snapshot.docs) {
+                if (matchesAttempts(doc, filters)) {
+                    await onRegistration(serializeRegistration(doc));
+                }
+            }
+            if (snapshot.size < EXPORT_PAGE_SIZE) {
+                return;
+            }
+            query = baseQuery.startAfter(snapshot.docs[snapshot.size - 1]);
+        }
+    }
+
+    return {
+        listRegistrations,
+        forEachRegistration
+    };
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    parseFilters,
+    serializeRegistration,
+    createRegistrationQueries
+};
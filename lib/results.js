@@ -0,0 +1,153 @@
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+const { parseCsv } = require('./csv');
+const { tierFor } = require('./scholarships');
+const { createRegistrationRepository } = require('./registration-repository');
+
+const MAX_ROWS = 5000;
+// Statuses whose exam result can still be recorded. Later on the candidate
+// has been decided on, and a re-import must not change what they pay.
+const RESULT_STATUSES = ['registered', 'exam_link_sent', 'exam_taken'];
+
+// Accept `[{ email, score, course? }]` or CSV text with the same columns
+function normalizeRows(input) {
+    const rows = typeof input === 'string' ? parseCsv(input) : input;
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new HttpError(400, 'No results', 'Provide a CSV body or a JSON array of { email, score } rows');
+    }
+    if (rows.length > MAX_ROWS) {
+        throw new HttpError(400, 'Too many results', `At most ${MAX_ROWS} rows can be imported at once`);
+    }
+
+    return rows.map((row, index) => ({
+        row: index + 1,
+        rawEmail: String(row.email || '').trim(),
+        email: String(row.email || '').trim().toLowerCase(),
+        course: row.course ? String(row.course).trim().toLowerCase() : null,
+        score: row.score === '' || row.score === undefined || row.score === null ? NaN : Number(row.score)
+    }));
+}
+
+function createResultsImporter(db, { lifecycle, scholarships }) {
+    const repository = createRegistrationRepository(db);
+
+    // Registrations for the given emails, grouped by lowercase email
+    async function findRegistrations(emails) {
+        const byEmail = new Map();
+
+        for (const doc of await repository.findByEmails(emails)) {
+            const key = String(doc.data().email).toLowerCase();
+            byEmail.set(key, [...(byEmail.get(key) || []), doc]);
+        }
+
+        return byEmail;
+    }
+
+    // Import scores, save tiers and move each candidate to shortlisted or
+    // rejected, which queues the matching email
+    async function importResults(input, { dryRun = false, notify = true, actor } = {}) {
+        const rows = normalizeRows(input);
+        const settings = await scholarships.getSettings();
+        const invalid = [];
+        const unmatched = [];
+        const ambiguous = [];
+        const imported = [];
+
+        const validRows = rows.filter(row => {
+            if (!row.email || !Number.isFinite(row.score)) {
+                invalid.push({ row: row.row, email: row.email, message: 'email and a numeric score are required' });
+                return false;
+            }
+            return true;
+        });
+
+        // Emails are stored as submitted, so look up both the original and
+        // lowercase forms
+        const registrations = await findRegistrations(validRows.flatMap(row => [row.email, row.rawEmail]));
+
+        for (const row of validRows) {
+            const candidates = (registrations.get(row.email) || [])
+                .filter(doc => !row.course || doc.data().courseCode === row.course);
+
+            if (candidates.length === 0) {
+                unmatched.push({ row: row.row, email: row.email, course: row.course });
+                continue;
+            }
+            if (candidates.length > 1) {
+                ambiguous.push({ row: row.row, email: row.email, message: 'Several registrations match; add a course column' });
+                continue;
+            }
+
+            const doc = candidates[0];
+            const band = tierFor(row.score, settings);
+            const outcome = row.score >= settings.shortlistMinScore ? 'shortlisted' : 'rejected';
+            const result = {
+                row: row.row,
+                id: doc.id,
+                email: row.email,
+                score: row.score,
+                scholarshipTier: band ? band.tier : null,
+                scholarshipDiscountPercent: band ? band.discountPercent : 0,
+                outcome
+            };
+
+            const status = doc.data().status || 'registered';
+            if (!RESULT_STATUSES.includes(status)) {
+                result.error = `The registration is already ${status}; its result can no longer change`;
+            } else if (!dryRun) {
+                try {
+                    await recordResult(doc, result, { notify, actor });
+                } catch (error) {
+                    if (!(error instanceof HttpError)) {
+                        throw error;
+                    }
+                    result.error = error.message;
+                }
+            }
+
+            imported.push(result);
+        }
+
+        return {
+            dryRun,
+            total: rows.length,
+            imported,
+            unmatched,
+            ambiguous,
+            invalid
+        };
+    }
+
+    // The score and tier are written with the final transition, so nothing
+    // changes when that transition is refused
+    async function recordResult(doc, result, { notify, actor }) {
+        const status = doc.data().status || 'registered';
+        if (status === 'registered' || status === 'exam_link_sent') {
+            if (status === 'registered') {
+                await lifecycle.transition(doc.id, 'exam_link_sent', { actor, note: 'Result import', sendEmail: false });
+            }
+            await lifecycle.transition(doc.id, 'exam_taken', { actor, note: 'Result import', sendEmail: false });
+        }
+
+        await lifecycle.transition(doc.id, result.outcome, {
+            actor,
+            note: `Score ${result.score}`,
+            sendEmail: notify,
+            fields: {
+                examScore: result.score,
+                scholarshipTier: result.scholarshipTier,
+                scholarshipDiscountPercent: result.scholarshipDiscountPercent,
+                resultImportedAt: admin.firestore.FieldValue.serverTimestamp()
+            },
+            data: {
+                scholarshipTier: result.scholarshipTier,
+                scholarshipDiscountPercent: result.scholarshipDiscountPercent
+            }
+        });
+    }
+
+    return { importResults };
+}
+
+module.exports = { createResultsImporter };
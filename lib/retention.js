@@ -0,0 +1,155 @@
+const admin = require('firebase-admin');
+const { OUTBOX_COLLECTION } = require('./mail/queue');
+const { createRegistrationRepository } = require('./registration-repository');
+const { TICKETS_COLLECTION } = require('./tickets');
+const { CAMPAIGN_RECIPIENTS_COLLECTION } = require('./campaigns');
+const { WEBHOOK_EVENTS_COLLECTION } = require('./deliveries');
+const { PRIVACY_REQUESTS_COLLECTION } = require('./privacy');
+const { runMigrations } = require('./migrations');
+const { logger } = require('./logger');
+const { getConfig } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Documents read per query; deletes go in batches of the same size
+const PAGE_SIZE = 400;
+// Registrations the lifecycle has nothing more to do with
+const FINISHED_STATUSES = ['rejected', 'enrolled'];
+
+// What the purge removes. Each rule deletes documents whose `field` is older
+// than its RETENTION_*_DAYS setting (0 keeps them forever) and, where given,
+// that `stale(data)` accepts. Work still in progress is never purged.
+const RULES = [
+    {
+        name: 'registrations',
+        collection: db => createRegistrationRepository(db).collection,
+        field: 'createdAt',
+        // Only once the applicant was rejected or enrolled. Registrations
+        // from before the lifecycle existed have no status and are done too.
+        stale: registration => !registration.status || FINISHED_STATUSES.includes(registration.status)
+    },
+    {
+        name: 'contactMessages',
+        collection: db => db.collection(TICKETS_COLLECTION),
+        field: 'updatedAt',
+        stale: ticket => ticket.status === 'answered' || ticket.status === 'closed'
+    },
+    {
+        name: 'emailLogs',
+        collection: db => db.collection(OUTBOX_COLLECTION),
+        field: 'createdAt',
+        stale: job => job.status !== 'pending' && job.status !== 'sending'
+    },
+    {
+        name: 'campaignRecipients',
+        collection: db => db.collection(CAMPAIGN_RECIPIENTS_COLLECTION),
+        field: 'updatedAt',
+        stale: recipient => recipient.status !== 'pending' && recipient.status !== 'queued' && recipient.status !== 'retrying'
+    },
+    {
+        name: 'webhookEvents',
+        collection: db => db.collection(WEBHOOK_EVENTS_COLLECTION),
+        field: 'receivedAt'
+    },
+    {
+        name: 'privacyRequests',
+        collection: db => db.collection(PRIVACY_REQUESTS_COLLECTION),
+        field: 'createdAt',
+        stale: request => request.status !== 'erasing'
+    }
+];
+
+function createRetentionJob(db, options = {}) {
+    const { retention } = getConfig().privacy;
+    const days = { ...retention.days, ...options.days };
+    const intervalMs = options.intervalMs || retention.intervalMs;
+    const log = logger.child({ component: 'retention' });
+
+    let timer = null;
+
+    // Current settings per rule, for the admin endpoint
+    function policy() {
+        return RULES.map(rule => ({ name: rule.name, field: rule.field, days: days[rule.name] }));
+    }
+
+    async function purgeRule(rule, cutoff, dryRun) {
+        const query = rule.collection(db)
+            .where(rule.field, '<', cutoff)
+            .orderBy(rule.field)
+            .limit(PAGE_SIZE);
+        let last = null;
+        let purged = 0;
+
+        for (;;) {
+            const snapshot = await (last ? query.startAfter(last) : query).get();
+            if (snapshot.empty) {
+                break;
+            }
+
+            const stale = snapshot.docs.filter(doc => !rule.stale || rule.stale(doc.data()));
+            if (stale.length > 0 && !dryRun) {
+                const batch = db.batch();
+                stale.forEach(doc => batch.delete(doc.ref));
+                await batch.commit();
+            }
+
+            purged += stale.length;
+            last = snapshot.docs[snapshot.docs.length - 1];
+            if (snapshot.size < PAGE_SIZE) {
+                break;
+            }
+        }
+
+        return purged;
+    }
+
+    // Delete stale records in every collection with a retention period.
+    // With `dryRun` nothing is deleted; the counts say what would be.
+    async function purge({ dryRun = false, now = Date.now() } = {}) {
+        // The oldest registrations only have createdAt once the backfill has
+        // run; until then the range query would never match them
+        await runMigrations(db);
+
+        const purged = {};
+
+        for (const rule of RULES) {
+            if (!days[rule.name]) {
+                continue;
+            }
+            const cutoff = admin.firestore.Timestamp.fromMillis(now - days[rule.name] * DAY_MS);
+            purged[rule.name] = await purgeRule(rule, cutoff, dryRun);
+        }
+
+        log.info(dryRun ? 'Retention dry run finished' : 'Retention purge finished', { purged });
+        return { dryRun, purged };
+    }
+
+    async function runScheduled() {
+        try {
+            await purge();
+        } catch (error) {
+            log.error('Retention purge failed', { error });
+        }
+    }
+
+    return {
+        policy,
+        purge,
+
+        start() {
+            if (timer) {
+                return;
+            }
+            runScheduled();
+            timer = setInterval(runScheduled, intervalMs);
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    createRetentionJob
+};
@@ -0,0 +1,206 @@
+const { STATUSES } = require('./lifecycle');
+const { TICKET_STATUSES } = require('./tickets');
+const { ROLES } = require('./auth');
+const { ERASE_MODES } = require('./privacy');
+
+// Request body schemas for every endpoint that accepts input (see validation.js)
+
+const COURSE_CODE = {
+    type: 'string',
+    lowercase: true,
+    maxLength: 40,
+    pattern: /^[a-z0-9][a-z0-9_-]*$/,
+    patternMessage: 'must contain only lowercase letters, digits, "-" or "_"'
+};
+
+// Preferred language for emails, e.g. "hi" or "hi-IN"; unsupported ones fall back to English
+const LOCALE = {
+    type: 'string',
+    maxLength: 35,
+    pattern: /^[a-z]{2,3}(?:[-_][a-z0-9]{2,8})*$/i,
+    patternMessage: 'must be a language tag such as "en" or "hi-IN"'
+};
+
+const contactForm = {
+    from: { type: 'email', required: true },
+    name: { type: 'string', required: true, maxLength: 100 },
+    subject: { type: 'string', required: true, maxLength: 200 },
+    message: { type: 'string', required: true, maxLength: 5000 },
+    locale: LOCALE
+};
+
+const registration = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    email: { type: 'email', required: true },
+    course: { ...COURSE_CODE, required: true },
+    locale: LOCALE
+};
+
+const privacyRequest = {
+    email: { type: 'email', required: true },
+    locale: LOCALE
+};
+
+const paymentLink = {
+    email: { type: 'email', required: true },
+    course: { ...COURSE_CODE, required: true },
+    locale: LOCALE
+};
+
+const privacyErase = {
+    mode: { type: 'enum', values: ERASE_MODES, required: true }
+};
+
+const courseFields = {
+    title: { type: 'string', maxLength: 200 },
+    description: { type: 'string', maxLength: 2000 },
+    seats: { type: 'integer', min: 0, nullable: true },
+    registrationOpensAt: { type: 'date', nullable: true },
+    registrationClosesAt: { type: 'date', nullable: true },
+    active: { type: 'boolean' },
+    fee: {
+        type: 'object',
+        nullable: true,
+        schema: {
+            amount: { type: 'number', required: true, min: 0.01 },
+            currency: { type: 'string', pattern: /^[A-Z]{3}$/, patternMessage: 'must be an ISO 4217 code such as INR' }
+        }
+    }
+};
+
+const courseCreate = {
+    code: { ...COURSE_CODE, required: true },
+    ...courseFields,
+    title: { ...courseFields.title, required: true }
+};
+
+const courseUpdate = courseFields;
+
+const transitionFields = {
+    status: { type: 'enum', values: STATUSES, required: true },
+    note: { type: 'string', maxLength: 500 },
+    data: { type: 'object' },
+    sendEmail: { type: 'boolean' }
+};
+
+const statusTransition = transitionFields;
+
+const batchStatusTransition = {
+    ids: { type: 'array', required: true, minItems: 1, maxItems: 100, items: { type: 'string', maxLength: 200 } },
+    ...transitionFields
+};
+
+const examSlotFields = {
+    courseCode: { ...COURSE_CODE, nullable: true },
+    startsAt: { type: 'date' },
+    endsAt: { type: 'date' },
+    testUrl: { type: 'url', maxLength: 2000 },
+    capacity: { type: 'integer', min: 1 },
+    linkSendAt: { type: 'date' }
+};
+
+const examSlotCreate = {
+    ...examSlotFields,
+    startsAt: { ...examSlotFields.startsAt, required: true },
+    endsAt: { ...examSlotFields.endsAt, required: true },
+    testUrl: { ...examSlotFields.testUrl, required: true },
+    capacity: { ...examSlotFields.capacity, required: true }
+};
+
+const examSlotUpdate = examSlotFields;
+
+const scholarshipSettings = {
+    shortlistMinScore: { type: 'number', required: true },
+    bands: {
+        type: 'array',
+        required: true,
+        maxItems: 20,
+        items: {
+            type: 'object',
+            schema: {
+                tier: { type: 'string', required: true, maxLength: 50 },
+                minScore: { type: 'number', required: true },
+                discountPercent: { type: 'number', required: true, min: 0, max: 100 }
+            }
+        }
+    }
+};
+
+const examResults = {
+    results: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 5000,
+        items: {
+            type: 'object',
+            schema: {
+                email: { type: 'string', required: true, maxLength: 254 },
+                score: { type: 'number', required: true },
+                course: { ...COURSE_CODE }
+            }
+        }
+    }
+};
+
+const ticketUpdate = {
+    status: { type: 'enum', values: TICKET_STATUSES },
+    assignee: { type: 'string', maxLength: 200, nullable: true }
+};
+
+const ticketReply = {
+    message: { type: 'string', required: true, maxLength: 10000 }
+};
+
+const suppression = {
+    email: { type: 'email', required: true },
+    note: { type: 'string', maxLength: 500 }
+};
+
+const campaignCreate = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    // Same filters as GET /api/admin/registrations
+    filters: {
+        type: 'object',
+        schema: {
+            course: COURSE_CODE,
+            status: { type: 'enum', values: STATUSES },
+            emailSent: { type: 'boolean' },
+            minAttempts: { type: 'integer', min: 0 },
+            maxAttempts: { type: 'integer', min: 0 },
+            from: { type: 'date' },
+            to: { type: 'date' }
+        }
+    },
+    subject: { type: 'string', required: true, maxLength: 200 },
+    message: { type: 'string', required: true, maxLength: 10000 },
+    linkUrl: { type: 'url', maxLength: 2000 },
+    linkLabel: { type: 'string', maxLength: 200 },
+    batchSize: { type: 'integer', min: 1, max: 500 },
+    batchIntervalMs: { type: 'integer', min: 1000 }
+};
+
+const userRoles = {
+    roles: { type: 'array', required: true, items: { type: 'enum', values: ROLES } }
+};
+
+module.exports = {
+    contactForm,
+    registration,
+    privacyRequest,
+    privacyErase,
+    paymentLink,
+    courseCreate,
+    courseUpdate,
+    statusTransition,
+    batchStatusTransition,
+    examSlotCreate,
+    examSlotUpdate,
+    scholarshipSettings,
+    examResults,
+    ticketUpdate,
+    ticketReply,
+    suppression,
+    campaignCreate,
+    userRoles
+};
@@ -0,0 +1,77 @@
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+
+const SETTINGS_COLLECTION = 'settings';
+const SCHOLARSHIP_SETTINGS_DOC = 'scholarship';
+
+// Used until an admin saves bands of their own
+const DEFAULT_SETTINGS = {
+    shortlistMinScore: 50,
+    bands: [
+        { tier: 'gold', minScore: 85, discountPercent: 50 },
+        { tier: 'silver', minScore: 70, discountPercent: 30 },
+        { tier: 'bronze', minScore: 50, discountPercent: 15 }
+    ]
+};
+
+function parseSettings(input) {
+    const shortlistMinScore = Number(input.shortlistMinScore);
+    if (!Number.isFinite(shortlistMinScore)) {
+        throw new HttpError(400, 'Invalid scholarship settings', 'shortlistMinScore must be a number');
+    }
+    if (!Array.isArray(input.bands)) {
+        throw new HttpError(400, 'Invalid scholarship settings', 'bands must be an array');
+    }
+
+    const bands = input.bands.map((band, index) => {
+        const minScore = Number(band.minScore);
+        const discountPercent = Number(band.discountPercent);
+        if (!band.tier || !Number.isFinite(minScore)) {
+            throw new HttpError(400, 'Invalid scholarship settings', `bands[${index}] needs a tier and a numeric minScore`);
+        }
+        if (!Number.isFinite(discountPercent) || discountPercent < 0 || discountPercent > 100) {
+            throw new HttpError(400, 'Invalid scholarship settings', `bands[${index}].discountPercent must be between 0 and 100`);
+        }
+        return { tier: String(band.tier), minScore, discountPercent };
+    });
+
+    return {
+        shortlistMinScore,
+        bands: bands.sort((a, b) => b.minScore - a.minScore)
+    };
+}
+
+// Highest band whose minimum the score reaches, or null
+function tierFor(score, settings) {
+    return settings.bands.find(band => score >= band.minScore) || null;
+}
+
+function createScholarshipSettings(db) {
+    const settingsRef = db.collection(SETTINGS_COLLECTION).doc(SCHOLARSHIP_SETTINGS_DOC);
+
+    async function getSettings() {
+        const doc = await settingsRef.get();
+        return doc.exists ? parseSettings(doc.data()) : DEFAULT_SETTINGS;
+    }
+
+    async function saveSettings(input) {
+        const settings = parseSettings(input || {});
+        await settingsRef.set({
+            ...settings,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return settings;
+    }
+
+    return {
+        getSettings,
+        saveSettings
+    };
+}
+
+module.exports = {
+    SETTINGS_COLLECTION,
+    DEFAULT_SETTINGS,
+    tierFor,
+    createScholarshipSettings
+};
@@ -0,0 +1,117 @@
+const { HttpError } = require('./errors');
+const { getServices } = require('./services');
+const { FORMS, createFormGuards, failureResponse } = require('./forms');
+const { getConfig } = require('./config');
+const { isOriginAllowed } = require('./cors');
+const { logger, configureLogging, withContext, startRequest } = require('./logger');
+
+// Run Express-style middleware against a plain Node request. Resolves to
+// false when a middleware answered the request itself (e.g. the honeypot).
+function runMiddleware(chain, req, res) {
+    return chain.reduce((previous, middleware) => previous.then(proceed => {
+        if (!proceed) {
+            return false;
+        }
+        return new Promise((resolve, reject) => {
+            const next = error => (error ? reject(error) : resolve(true));
+            Promise.resolve(middleware(req, res, next))
+                .then(() => res.writableEnded && resolve(false), reject);
+        });
+    }), Promise.resolve(true));
+}
+
+function send(res, { status, body }) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+// Serverless entry point for one of the public forms in lib/forms.js. The
+// same guards and handler back the Express route, only the plumbing differs.
+function createFormHandler(formName) {
+    const form = FORMS[formName];
+    let guards;
+
+    async function handleForm(req, res) {
+        let config;
+        try {
+            config = getConfig();
+            configureLogging(config.logging);
+        } catch (error) {
+            logger.error('Invalid configuration', { problems: error.problems || [error.message] });
+            return send(res, {
+                status: 500,
+                body: {
+                    error: 'Server misconfigured',
+                    message: 'The server is not configured correctly'
+                }
+            });
+        }
+
+        // CORS limited to the CORS_ORIGINS allowlist
+        const origin = req.headers.origin;
+        res.setHeader('Vary', 'Origin');
+        if (isOriginAllowed(origin, config.cors.origins)) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+        }
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Captcha-Token');
+        res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
+
+        // Handle preflight request
+        if (req.method === 'OPTIONS') {
+            res.statusCode = 204;
+            return res.end();
+        }
+
+        // Only allow POST requests
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST, OPTIONS');
+            return send(res, {
+                status: 405,
+                body: {
+                    error: 'Method not allowed',
+                    message: 'Only POST requests are allowed'
+                }
+            });
+        }
+
+        try {
+            const services = getServices();
+            guards = guards || createFormGuards(services)[formName];
+
+            if (!(await runMiddleware(guards, req, res))) {
+                return;
+            }
+
+            // A fresh deployment has an empty catalog until this seeds it
+            await services.ensureCatalog();
+            const response = await form.submit(services, req.body);
+
+            // There is no background worker between invocations, so deliver
+            // what was just queued before the function is frozen. Anything
+            // that fails stays in the outbox for the next poll.
+            try {
+                await services.emailWorker.poll();
+            } catch (error) {
+                logger.error('Error delivering queued emails', { error });
+            }
+
+            return send(res, response);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return send(res, { status: error.status, body: error.toJSON() });
+            }
+            return send(res, failureResponse(error, form.failure));
+        }
+    }
+
+    return function handler(req, res) {
+        return withContext({ requestId: startRequest(req, res) }, () => handleForm(req, res));
+    };
+}
+
+module.exports = {
+    runMiddleware,
+    createFormHandler
+};
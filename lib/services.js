@@ -0,0 +1,106 @@
+const { getTransport } = require('./mail');
+const { createEmailWorker } = require('./mail/queue');
+const { getDatastore } = require('./datastore');
+const { createCourseCatalog } = require('./courses');
+const { createLifecycle } = require('./lifecycle');
+const { createRegistrationQueries } = require('./registrations');
+const { createExamScheduler } = require('./exams');
+const { createScholarshipSettings } = require('./scholarships');
+const { createResultsImporter } = require('./results');
+const { createTicketDesk } = require('./tickets');
+const { createSuppressionList } = require('./suppressions');
+const { createDeliveryTracker } = require('./deliveries');
+const { createRateLimitStore } = require('./rate-limit');
+const { createCaptchaVerifier } = require('./captcha');
+const { createRegistrationService } = require('./registration-service');
+const { createCampaignManager } = require('./campaigns');
+const { createPrivacyDesk } = require('./privacy');
+const { createRetentionJob } = require('./retention');
+const { createFeeDesk } = require('./fees');
+const { getPaymentProvider } = require('./payments');
+const { getConfig } = require('./config');
+
+// Wire every service together. Both the Express server and the serverless
+// handlers in api/ go through this, so they share the same behavior.
+function createServices({ db, transport, paymentProvider = getPaymentProvider() }) {
+    // Addresses that hard-bounced or complained; the worker never sends to them
+    const suppressions = createSuppressionList(db);
+
+    // Wakes the email worker below as soon as something is queued
+    const onQueued = () => emailWorker.poke();
+
+    // Cohort announcements, sent in throttled batches through the outbox
+    const registrationQueries = createRegistrationQueries(db);
+    const campaigns = createCampaignManager(db, { queries: registrationQueries, onQueued });
+
+    // Delivers queued emails from the email_outbox collection. The server runs
+    // it in the background; serverless handlers poll it before responding.
+    const emailWorker = createEmailWorker(db, { transport, suppressions, onOutcome: campaigns.recordOutcome });
+
+    const courseCatalog = createCourseCatalog(db);
+
+    // Seeds the default catalog once per instance. The server does it at
+    // startup; serverless handlers have no startup hook, so they await it
+    // before their first submission. A failed attempt is retried next time.
+    let catalogSeeding;
+    const ensureCatalog = () => {
+        if (!catalogSeeding) {
+            catalogSeeding = courseCatalog.ensureDefaultCourses().catch(error => {
+                catalogSeeding = null;
+                throw error;
+            });
+        }
+        return catalogSeeding;
+    };
+    const lifecycle = createLifecycle(db, { onQueued });
+    const examScheduler = createExamScheduler(db, { lifecycle });
+    const scholarships = createScholarshipSettings(db);
+
+    // Course fees through the PAYMENT_PROVIDER adapter; paid orders move the
+    // registration to fee_paid and email the invoice
+    const feeDesk = createFeeDesk(db, { provider: paymentProvider, courseCatalog, lifecycle, onQueued });
+
+    return {
+        db,
+        transport,
+        suppressions,
+        emailWorker,
+        courseCatalog,
+        ensureCatalog,
+        lifecycle,
+        examScheduler,
+        scholarships,
+        paymentProvider,
+        feeDesk,
+        registrationService: createRegistrationService(db, { examScheduler, onQueued }),
+        registrationQueries,
+        campaigns,
+        resultsImporter: createResultsImporter(db, { lifecycle, scholarships }),
+        ticketDesk: createTicketDesk(db, { onQueued }),
+        deliveryTracker: createDeliveryTracker(db, { suppressions }),
+        // Applicant data export and erasure, and the RETENTION_* purge
+        privacyDesk: createPrivacyDesk(db, { onQueued }),
+        retention: createRetentionJob(db),
+        // RATE_LIMIT_STORE=firestore shares the counters across instances
+        rateLimitStore: createRateLimitStore(getConfig().abuse.rateLimitStore, db),
+        captchaVerifier: createCaptchaVerifier()
+    };
+}
+
+let services;
+
+// Process-wide services, created on first use
+function getServices() {
+    if (!services) {
+        services = createServices({
+            db: getDatastore(),
+            transport: getTransport()
+        });
+    }
+    return services;
+}
+
+module.exports = {
+    createServices,
+    getServices
+};
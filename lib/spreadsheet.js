@@ -0,0 +1,47 @@
+// Streaming writer for Excel 2003 XML spreadsheets (SpreadsheetML), which
+// Excel and LibreOffice open directly without an extra dependency
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+function cell(value) {
+    if (value === null || value === undefined) {
+        return '<Cell/>';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<Cell><Data ss:Type="Number">${value}</Data></Cell>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<Cell><Data ss:Type="Boolean">${value ? 1 : 0}</Data></Cell>`;
+    }
+    return `<Cell><Data ss:Type="String">${escapeXml(value)}</Data></Cell>`;
+}
+
+function spreadsheetHeader(sheetName) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<?mso-application progid="Excel.Sheet"?>\n' +
+        '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" ' +
+        'xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">\n' +
+        `<Worksheet ss:Name="${escapeXml(sheetName)}"><Table>\n`;
+}
+
+function spreadsheetRow(values) {
+    return `<Row>${values.map(cell).join('')}</Row>\n`;
+}
+
+function spreadsheetFooter() {
+    return '</Table></Worksheet></Workbook>\n';
+}
+
+module.exports = {
+    spreadsheetHeader,
+    spreadsheetRow,
+    spreadsheetFooter
+};
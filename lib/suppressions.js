@@ -0,0 +1,127 @@
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+
+const SUPPRESSIONS_COLLECTION = 'email_suppressions';
+// `unsubscribe` only blocks bulk mail such as campaigns; the rest block
+// every email to the address
+const REASONS = ['bounce', 'complaint', 'manual', 'unsubscribe'];
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// Document ids cannot contain "/", so the address is encoded
+function suppressionId(email) {
+    return encodeURIComponent(normalizeEmail(email));
+}
+
+// Pull the bare address out of "Name <address>"
+function addressOf(recipient) {
+    const match = String(recipient).match(/<([^>]+)>/);
+    return normalizeEmail(match ? match[1] : recipient);
+}
+
+function createSuppressionList(db) {
+    const suppressionsRef = db.collection(SUPPRESSIONS_COLLECTION);
+
+    async function isSuppressed(email) {
+        const doc = await suppressionsRef.doc(suppressionId(email)).get();
+        return doc.exists;
+    }
+
+    // Split recipients into those we may send to and those we must not.
+    // Unsubscribed addresses still get transactional mail unless `bulk` is set.
+    async function filterRecipients(recipients, { bulk = false } = {}) {
+        const list = Array.isArray(recipients) ? recipients : [recipients];
+        const allowed = [];
+        const suppressed = [];
+
+        const refs = list.map(recipient => suppressionsRef.doc(suppressionId(addressOf(recipient))));
+        const docs = refs.length > 0 ? await db.getAll(...refs) : [];
+
+        docs.forEach((doc, index) => {
+            const blocked = doc.exists && (bulk || doc.get('reason') !== 'unsubscribe');
+            (blocked ? suppressed : allowed).push(list[index]);
+        });
+
+        return { allowed, suppressed };
+    }
+
+    async function suppress(email, reason, details = {}) {
+        if (!REASONS.includes(reason)) {
+            throw new HttpError(400, 'Invalid reason', `reason must be one of: ${REASONS.join(', ')}`);
+        }
+
+        const address = normalizeEmail(email);
+        if (!address) {
+            throw new HttpError(400, 'Missing email', 'Provide the email address to suppress');
+        }
+        await suppressionsRef.doc(suppressionId(address)).set({
+            email: address,
+            reason,
+            ...details,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    }
+
+    // Opt an address out of bulk mail. An existing entry is left alone so an
+    // unsubscribe never weakens a bounce or complaint. Returns false if the
+    // address was already on the list.
+    async function unsubscribe(email, details = {}) {
+        const address = normalizeEmail(email);
+        try {
+            await suppressionsRef.doc(suppressionId(address)).create({
+                email: address,
+                reason: 'unsubscribe',
+                ...details,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return true;
+        } catch (error) {
+            // gRPC ALREADY_EXISTS
+            if (error.code === 6) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async function unsuppress(email) {
+        const ref = suppressionsRef.doc(suppressionId(email));
+        const doc = await ref.get();
+        if (!doc.exists) {
+            throw new HttpError(404, 'Not suppressed', `${normalizeEmail(email)} is not on the suppression list`);
+        }
+        await ref.delete();
+    }
+
+    async function listSuppressions({ reason } = {}) {
+        let query = suppressionsRef;
+        if (reason) {
+            query = query.where('reason', '==', reason);
+        }
+        const snapshot = await query.get();
+        return snapshot.docs.map(doc => {
+            const data = doc.data();
+            return {
+                ...data,
+                createdAt: data.createdAt && data.createdAt.toDate ? data.createdAt.toDate().toISOString() : null
+            };
+        });
+    }
+
+    return {
+        isSuppressed,
+        filterRecipients,
+        suppress,
+        unsubscribe,
+        unsuppress,
+        listSuppressions
+    };
+}
+
+module.exports = {
+    SUPPRESSIONS_COLLECTION,
+    normalizeEmail,
+    createSuppressionList
+};
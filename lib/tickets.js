@@ -0,0 +1,209 @@
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+const { renderEmail } = require('./mail/templates');
+const { normalizeLocale } = require('./mail/templates/locales');
+const { buildEmailJob, OUTBOX_COLLECTION } = require('./mail/queue');
+const { currentRequestId } = require('./logger');
+const { getConfig } = require('./config');
+
+const TICKETS_COLLECTION = 'contact_messages';
+const TICKET_STATUSES = ['new', 'open', 'answered', 'closed'];
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+function plain(value) {
+    if (value && typeof value.toDate === 'function') {
+        return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(plain);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, plain(entry)]));
+    }
+    return value;
+}
+
+function serializeTicket(doc) {
+    return { id: doc.id, ...plain(doc.data()) };
+}
+
+// Thread entries live in an array, where server timestamps are not allowed
+function threadEntry(direction, fields) {
+    return {
+        direction,
+        at: admin.firestore.Timestamp.now(),
+        ...fields
+    };
+}
+
+function createTicketDesk(db, options = {}) {
+    const ticketsRef = db.collection(TICKETS_COLLECTION);
+    const { mail } = getConfig();
+    const inbox = options.inbox || mail.inbox;
+    const notificationSender = options.notificationSender || mail.notificationFrom;
+    const replySender = options.replySender || mail.from;
+    const replyTo = options.replyTo || mail.replyTo;
+    const onQueued = options.onQueued || (() => {});
+
+    // Store the submission and queue the inbox notification in one batch,
+    // so the inquiry is kept even if the email never goes out
+    async function createTicket({ from, name, subject, message, locale }) {
+        const ticketRef = ticketsRef.doc();
+        const jobRef = db.collection(OUTBOX_COLLECTION).doc();
+        const batch = db.batch();
+
+        batch.set(ticketRef, {
+            email: from,
+            name,
+            subject,
+            message,
+            // Language for replies; the inbox notification stays in English
+            locale: normalizeLocale(locale),
+            status: 'new',
+            assignee: null,
+            thread: [threadEntry('inbound', { from, body: message })],
+            notificationJobId: jobRef.id,
+            requestId: currentRequestId(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        batch.set(jobRef, buildEmailJob({
+            from: notificationSender,
+            to: inbox,
+            ...renderEmail('contact', { from, name, subject, message }),
+            replyTo: from,
+            headers: { 'X-EdCatalyst-Ticket': ticketRef.id }
+        }, { kind: 'contact' }));
+
+        await batch.commit();
+        onQueued(jobRef.id);
+
+        return { id: ticketRef.id, jobId: jobRef.id };
+    }
+
+    async function listTickets({ status, assignee, limit, cursor } = {}) {
+        if (status && !TICKET_STATUSES.includes(status)) {
+            throw new HttpError(400, 'Invalid filter', `status must be one of: ${TICKET_STATUSES.join(', ')}`);
+        }
+
+        const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        let query = ticketsRef;
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+        if (assignee) {
+            query = query.where('assignee', '==', assignee);
+        }
+        query = query.orderBy('createdAt', 'desc');
+
+        if (cursor) {
+            const cursorDoc = await ticketsRef.doc(String(cursor)).get();
+            if (!cursorDoc.exists) {
+                throw new HttpError(400, 'Invalid cursor', 'The pagination cursor no longer points at a ticket');
+            }
+            query = query.startAfter(cursorDoc);
+        }
+
+        const snapshot = await query.limit(pageSize).get();
+        return {
+            tickets: snapshot.docs.map(serializeTicket),
+            nextCursor: snapshot.size === pageSize ? snapshot.docs[snapshot.size - 1].id : null
+        };
+    }
+
+    async function getTicket(id) {
+        const doc = await ticketsRef.doc(String(id)).get();
+        if (!doc.exists) {
+            throw new HttpError(404, 'Ticket not found', `No ticket with id "${id}"`);
+        }
+        return serializeTicket(doc);
+    }
+
+    async function updateTicket(id, { status, assignee }) {
+        const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+
+        if (status !== undefined) {
+            if (!TICKET_STATUSES.includes(status)) {
+                throw new HttpError(400, 'Invalid status', `status must be one of: ${TICKET_STATUSES.join(', ')}`);
+            }
+            update.status = status;
+        }
+        if (assignee !== undefined) {
+            update.assignee = assignee ? String(assignee) : null;
+        }
+
+        await getTicket(id);
+        await ticketsRef.doc(String(id)).update(update);
+        return getTicket(id);
+    }
+
+    // Email a reply to the submitter and append it to the ticket thread
+    async function replyToTicket(id, { message, actor }) {
+        if (!message || !String(message).trim()) {
+            throw new HttpError(400, 'Missing reply', 'Provide the reply message');
+        }
+
+        const ticketRef = ticketsRef.doc(String(id));
+        const jobRef = db.collection(OUTBOX_COLLECTION).doc();
+
+        await db.runTransaction(async (transaction) => {
+            const snapshot = await transaction.get(ticketRef);
+            if (!snapshot.exists) {
+                throw new HttpError(404, 'Ticket not found', `No ticket with id "${id}"`);
+            }
+
+            const ticket = snapshot.data();
+            if (ticket.status === 'closed') {
+                throw new HttpError(409, 'Ticket closed', 'Reopen the ticket before replying');
+            }
+
+            const createdAt = ticket.createdAt && ticket.createdAt.toDate ? ticket.createdAt.toDate().toUTCString() : null;
+
+            transaction.set(jobRef, buildEmailJob({
+                from: replySender,
+                to: [ticket.email],
+                ...renderEmail('ticketReply', {
+                    name: ticket.name,
+                    subject: ticket.subject,
+                    reply: message,
+                    originalMessage: ticket.message,
+                    receivedAt: createdAt
+                }, { locale: ticket.locale }),
+                replyTo,
+                headers: { 'X-EdCatalyst-Ticket': ticketRef.id }
+            }, { kind: 'ticketReply' }));
+
+            transaction.update(ticketRef, {
+                status: 'answered',
+                assignee: ticket.assignee || actor || null,
+                thread: admin.firestore.FieldValue.arrayUnion(threadEntry('outbound', {
+                    from: replySender,
+                    by: actor || null,
+                    body: String(message),
+                    jobId: jobRef.id
+                })),
+                answeredAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        onQueued(jobRef.id);
+        return getTicket(id);
+    }
+
+    return {
+        createTicket,
+        listTickets,
+        getTicket,
+        updateTicket,
+        replyToTicket
+    };
+}
+
+module.exports = {
+    TICKETS_COLLECTION,
+    TICKET_STATUSES,
+    createTicketDesk
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { getConfig } = require('./config');
+
+// Unsubscribe links carry an HMAC of the address, so nobody can unsubscribe
+// someone else by editing the URL. The token never expires: links in old
+// emails keep working.
+
+let fallbackSecret;
+
+// UNSUBSCRIBE_SECRET, or outside production a per-process secret whose links
+// stop working after a restart
+function signingSecret() {
+    const { campaigns } = getConfig();
+    if (campaigns.unsubscribeSecret) {
+        return campaigns.unsubscribeSecret;
+    }
+    if (!fallbackSecret) {
+        fallbackSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('UNSUBSCRIBE_SECRET is not set; unsubscribe links only work until the server restarts');
+    }
+    return fallbackSecret;
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function unsubscribeToken(email, secret = signingSecret()) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`unsubscribe:${normalizeEmail(email)}`)
+        .digest('base64url');
+}
+
+function verifyUnsubscribeToken(email, token, secret = signingSecret()) {
+    if (!email || typeof token !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(unsubscribeToken(email, secret));
+    const actual = Buffer.from(token);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Public link for one address; `campaignId` only records where it came from
+function unsubscribeUrl(email, { campaignId, baseUrl = getConfig().publicUrl, secret } = {}) {
+    const params = new URLSearchParams({ email: normalizeEmail(email), token: unsubscribeToken(email, secret) });
+    if (campaignId) {
+        params.set('campaign', campaignId);
+    }
+    return `${baseUrl}/api/unsubscribe?${params}`;
+}
+
+// RFC 8058 one-click headers: mail clients POST to the URL directly
+function unsubscribeHeaders(url) {
+    return {
+        'List-Unsubscribe': `<${url}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+}
+
+module.exports = {
+    unsubscribeToken,
+    verifyUnsubscribeToken,
+    unsubscribeUrl,
+    unsubscribeHeaders
+};
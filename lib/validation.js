@@ -0,0 +1,193 @@
+const { HttpError } = require('./errors');
+
+// Declarative request validation. A schema maps field names to rules:
+//
+//   {
+//       email: { type: 'email', required: true },
+//       message: { type: 'string', required: true, maxLength: 5000 },
+//       status: { type: 'enum', values: ['new', 'open'] }
+//   }
+//
+// Types: string, email, url, integer, number, boolean, date, enum, array,
+// object (with a nested `schema`) and any. Unknown fields are dropped and
+// strings are trimmed. Failures become a 400 with one entry per field.
+
+const EMAIL_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]{2,}$/;
+
+class ValidationError extends HttpError {
+    constructor(fields, message = 'Request validation failed') {
+        super(400, 'Validation failed', message);
+        this.name = 'ValidationError';
+        this.fields = fields;
+    }
+
+    toJSON() {
+        return {
+            error: this.error,
+            message: this.message,
+            fields: this.fields
+        };
+    }
+}
+
+function checkValue(value, rule, path, errors) {
+    const fail = message => {
+        errors.push({ field: path, message });
+        return undefined;
+    };
+
+    switch (rule.type) {
+    case 'string':
+    case 'email':
+    case 'url': {
+        if (typeof value !== 'string') {
+            return fail('must be a string');
+        }
+        const text = rule.trim === false ? value : value.trim();
+        if (rule.required && text === '') {
+            return fail('is required');
+        }
+        if (rule.minLength !== undefined && text.length < rule.minLength) {
+            return fail(`must be at least ${rule.minLength} characters`);
+        }
+        if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+            return fail(`must be at most ${rule.maxLength} characters`);
+        }
+        if (rule.type === 'email' && (text.length > 254 || !EMAIL_PATTERN.test(text))) {
+            return fail('must be a valid email address');
+        }
+        if (rule.type === 'url' && !/^https?:\/\/[^\s]+$/i.test(text)) {
+            return fail('must be an http(s) URL');
+        }
+        if (rule.pattern && !rule.pattern.test(text)) {
+            return fail(rule.patternMessage || 'has an invalid format');
+        }
+        return rule.lowercase ? text.toLowerCase() : text;
+    }
+    case 'integer':
+    case 'number': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            return fail('must be a number');
+        }
+        if (rule.type === 'integer' && !Number.isInteger(number)) {
+            return fail('must be an integer');
+        }
+        if (rule.min !== undefined && number < rule.min) {
+            return fail(`must be at least ${rule.min}`);
+        }
+        if (rule.max !== undefined && number > rule.max) {
+            return fail(`must be at most ${rule.max}`);
+        }
+        return number;
+    }
+    case 'boolean':
+        if (value === 'true' || value === 'false') {
+            return value === 'true';
+        }
+        if (typeof value !== 'boolean') {
+            return fail('must be true or false');
+        }
+        return value;
+    case 'date': {
+        const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+        if (!date || Number.isNaN(date.getTime())) {
+            return fail('must be a valid date');
+        }
+        return value;
+    }
+    case 'enum':
+        if (!rule.values.includes(value)) {
+            return fail(`must be one of: ${rule.values.join(', ')}`);
+        }
+        return value;
+    case 'array': {
+        if (!Array.isArray(value)) {
+            return fail('must be an array');
+        }
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            return fail(`must contain at least ${rule.minItems} item(s)`);
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            return fail(`must contain at most ${rule.maxItems} items`);
+        }
+        return rule.items ?
+            value.map((item, index) => checkValue(item, { required: true, ...rule.items }, `${path}[${index}]`, errors)) :
+            value;
+    }
+    case 'object':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return fail('must be an object');
+        }
+        return rule.schema ? checkObject(value, rule.schema, `${path}.`, errors) : value;
+    case 'any':
+        return value;
+    default:
+        throw new Error(`Unknown validation type "${rule.type}" for ${path}`);
+    }
+}
+
+function checkObject(input, schema, prefix, errors) {
+    const output = {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const path = `${prefix}${field}`;
+        const value = input[field];
+
+        if (value === undefined || value === '' || (value === null && !rule.nullable)) {
+            if (rule.required) {
+                errors.push({ field: path, message: 'is required' });
+            } else if (rule.default !== undefined) {
+                output[field] = rule.default;
+            }
+            continue;
+        }
+        if (value === null) {
+            output[field] = null;
+            continue;
+        }
+
+        const checked = checkValue(value, rule, path, errors);
+        if (checked !== undefined) {
+            output[field] = checked;
+        }
+    }
+
+    return output;
+}
+
+// Validate and clean an object; throws ValidationError on failure
+function validate(input, schema) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ValidationError([{ field: '', message: 'must be a JSON object' }]);
+    }
+
+    const errors = [];
+    const output = checkObject(input, schema, '', errors);
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+    return output;
+}
+
+// Middleware replacing req[source] with the validated, cleaned values
+function validateRequest(schema, source = 'body') {
+    return (req, res, next) => {
+        try {
+            req[source] = validate(req[source] || {}, schema);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+const validateBody = schema => validateRequest(schema, 'body');
+const validateQuery = schema => validateRequest(schema, 'query');
+
+module.exports = {
+    ValidationError,
+    validate,
+    validateBody,
+    validateQuery
+};
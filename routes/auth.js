@@ -0,0 +1,24 @@
+const express = require('express');
+const handle = require('./handle');
+const { requireRole } = require('../lib/auth');
+const { validateBody } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+function createAuthRouter(authenticator) {
+    const router = express.Router();
+
+    // The operator behind the current token or API key
+    router.get('/admin/me', (req, res) => {
+        res.json({ success: true, user: req.user });
+    });
+
+    // Grant or revoke roles on a Firebase user
+    router.put('/admin/users/:uid/roles', requireRole('admin'), validateBody(schemas.userRoles), handle(async (req, res) => {
+        const result = await authenticator.setRoles(req.params.uid, req.body.roles);
+        res.json({ success: true, ...result });
+    }));
+
+    return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,52 @@
+const express = require('express');
+const handle = require('./handle');
+const { requireRole, actorOf } = require('../lib/auth');
+const { validateBody } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// Cohort announcement campaigns. Coordinators can look; only admins can
+// create, start or cancel bulk mail.
+function createCampaignsRouter(campaigns) {
+    const router = express.Router();
+
+    router.get('/admin/campaigns', requireRole('coordinator'), handle(async (req, res) => {
+        const result = await campaigns.listCampaigns({ status: req.query.status });
+        res.json({ success: true, campaigns: result });
+    }));
+
+    router.post('/admin/campaigns', requireRole('admin'), validateBody(schemas.campaignCreate), handle(async (req, res) => {
+        const campaign = await campaigns.createCampaign(req.body, { actor: actorOf(req) });
+        res.status(201).json({ success: true, campaign });
+    }));
+
+    router.get('/admin/campaigns/:id', requireRole('coordinator'), handle(async (req, res) => {
+        const campaign = await campaigns.getCampaign(req.params.id);
+        res.json({ success: true, campaign });
+    }));
+
+    // Audience size and the rendered email for the first recipient
+    router.get('/admin/campaigns/:id/preview', requireRole('coordinator'), handle(async (req, res) => {
+        const preview = await campaigns.previewCampaign(req.params.id);
+        res.json({ success: true, ...preview });
+    }));
+
+    // Per-recipient delivery status, filterable by ?status=
+    router.get('/admin/campaigns/:id/recipients', requireRole('coordinator'), handle(async (req, res) => {
+        const result = await campaigns.listRecipients(req.params.id, req.query);
+        res.json({ success: true, ...result });
+    }));
+
+    router.post('/admin/campaigns/:id/start', requireRole('admin'), handle(async (req, res) => {
+        const campaign = await campaigns.startCampaign(req.params.id, { actor: actorOf(req) });
+        res.status(202).json({ success: true, campaign });
+    }));
+
+    router.post('/admin/campaigns/:id/cancel', requireRole('admin'), handle(async (req, res) => {
+        const campaign = await campaigns.cancelCampaign(req.params.id, { actor: actorOf(req) });
+        res.json({ success: true, campaign });
+    }));
+
+    return router;
+}
+
+module.exports = createCampaignsRouter;
@@ -0,0 +1,49 @@
+const express = require('express');
+const { HttpError } = require('../lib/errors');
+const handle = require('./handle');
+const { requireRole } = require('../lib/auth');
+const { validateBody } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+function createCoursesRouter(catalog) {
+    const router = express.Router();
+
+    // Public catalog of courses currently offered
+    router.get('/courses', handle(async (req, res) => {
+        const courses = await catalog.listCourses();
+        res.json({ success: true, courses });
+    }));
+
+    // Admin CRUD: coordinators can read, admins can change the catalog
+    router.get('/admin/courses', requireRole('coordinator'), handle(async (req, res) => {
+        const courses = await catalog.listCourses({ includeInactive: true });
+        res.json({ success: true, courses });
+    }));
+
+    router.get('/admin/courses/:code', requireRole('coordinator'), handle(async (req, res) => {
+        const course = await catalog.getCourse(req.params.code);
+        if (!course) {
+            throw new HttpError(404, 'Course not found', `No course with code "${req.params.code}"`);
+        }
+        res.json({ success: true, course });
+    }));
+
+    router.post('/admin/courses', requireRole('admin'), validateBody(schemas.courseCreate), handle(async (req, res) => {
+        const course = await catalog.createCourse(req.body);
+        res.status(201).json({ success: true, course });
+    }));
+
+    router.patch('/admin/courses/:code', requireRole('admin'), validateBody(schemas.courseUpdate), handle(async (req, res) => {
+        const course = await catalog.updateCourse(req.params.code, req.body);
+        res.json({ success: true, course });
+    }));
+
+    router.delete('/admin/courses/:code', requireRole('admin'), handle(async (req, res) => {
+        const result = await catalog.deleteCourse(req.params.code);
+        res.json({ success: true, ...result });
+    }));
+
+    return router;
+}
+
+module.exports = createCoursesRouter;
@@ -0,0 +1,44 @@
+const express = require('express');
+const handle = require('./handle');
+const { requireRole } = require('../lib/auth');
+const { validateBody } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+function createExamsRouter(scheduler) {
+    const router = express.Router();
+
+    router.get('/admin/exam-slots', requireRole('coordinator'), handle(async (req, res) => {
+        const slots = await scheduler.listSlots({ from: req.query.from });
+        res.json({ success: true, slots });
+    }));
+
+    router.get('/admin/exam-slots/:id', requireRole('coordinator'), handle(async (req, res) => {
+        const slot = await scheduler.getSlot(req.params.id);
+        res.json({ success: true, slot });
+    }));
+
+    router.post('/admin/exam-slots', requireRole('admin'), validateBody(schemas.examSlotCreate), handle(async (req, res) => {
+        const slot = await scheduler.createSlot(req.body);
+        res.status(201).json({ success: true, slot });
+    }));
+
+    router.patch('/admin/exam-slots/:id', requireRole('admin'), validateBody(schemas.examSlotUpdate), handle(async (req, res) => {
+        const slot = await scheduler.updateSlot(req.params.id, req.body);
+        res.json({ success: true, slot });
+    }));
+
+    router.delete('/admin/exam-slots/:id', requireRole('admin'), handle(async (req, res) => {
+        const result = await scheduler.deleteSlot(req.params.id);
+        res.json({ success: true, ...result });
+    }));
+
+    // Send the exam links for a slot now instead of waiting for the scheduler
+    router.post('/admin/exam-slots/:id/dispatch', requireRole('admin'), handle(async (req, res) => {
+        const result = await scheduler.dispatchSlot(req.params.id);
+        res.json({ success: true, ...result });
+    }));
+
+    return router;
+}
+
+module.exports = createExamsRouter;
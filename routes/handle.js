@@ -0,0 +1,13 @@
+// Wrap an async handler so rejected promises reach the error middleware,
+// which turns HttpErrors into JSON responses
+function handle(fn) {
+    return async (req, res, next) => {
+        try {
+            await fn(req, res);
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = handle;
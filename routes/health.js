@@ -0,0 +1,48 @@
+const express = require('express');
+const crypto = require('crypto');
+const handle = require('./handle');
+const { HttpError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+const { CONTENT_TYPE, registry } = require('../lib/metrics');
+const { getConfig } = require('../lib/config');
+
+function tokenMatches(expected, header) {
+    const match = (header || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        return false;
+    }
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(expected), digest(match[1]));
+}
+
+// Probes for the load balancer and the Prometheus scrape endpoint. Mounted at
+// the root, outside /api, so they bypass admin authentication. Set
+// METRICS_TOKEN to require "Authorization: Bearer <token>" on /metrics.
+function createHealthRouter({ checks, metricsToken = getConfig().health.metricsToken }) {
+    const router = express.Router();
+
+    // Liveness: the process is up and the event loop is responsive
+    router.get('/healthz', (req, res) => {
+        res.json(checks.liveness());
+    });
+
+    // Readiness: 503 until Firestore answers and mail can be sent
+    router.get('/readyz', handle(async (req, res) => {
+        const { ready, ...report } = await checks.readiness();
+        if (!ready) {
+            logger.warn('Readiness check failed', { checks: report.checks });
+        }
+        res.status(ready ? 200 : 503).json(report);
+    }));
+
+    router.get('/metrics', (req, res, next) => {
+        if (metricsToken && !tokenMatches(metricsToken, req.headers.authorization)) {
+            return next(new HttpError(401, 'Unauthorized', 'A valid metrics token is required'));
+        }
+        res.set('Content-Type', CONTENT_TYPE).send(registry.render());
+    });
+
+    return router;
+}
+
+module.exports = createHealthRouter;
@@ -0,0 +1,147 @@
+const express = require('express');
+const handle = require('./handle');
+const { requireRole } = require('../lib/auth');
+const { HttpError } = require('../lib/errors');
+const { html } = require('../lib/mail/templates/engine');
+
+function page(title, body) {
+    return String(html`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; padding: 0 20px;">
+<h1 style="font-size: 22px;">${title}</h1>
+${body}
+</body>
+</html>`);
+}
+
+// Invalid, expired and spent links get a page rather than JSON
+function errorPage(res, error) {
+    res.status(error.status).type('html').send(page(error.error, html`
+        <p>${error.message}</p>
+    `));
+}
+
+// Razorpay Checkout opens in the page; the webhook records the payment
+function razorpayCheckout(checkout) {
+    return page('Complete your payment', html`
+        <p>Pay securely with Razorpay. Your receipt and invoice will arrive by email.</p>
+        <button id="pay" type="button" style="padding: 10px 20px;"
+            data-key="${checkout.keyId}" data-order="${checkout.orderId}"
+            data-amount="${checkout.amount}" data-currency="${checkout.currency}">Pay now</button>
+        <p id="status"></p>
+        <script src="https://checkout.razorpay.com/v1/checkout.js"></script>
+        <script>
+            document.getElementById('pay').addEventListener('click', function () {
+                var data = this.dataset;
+                new Razorpay({
+                    key: data.key,
+                    order_id: data.order,
+                    amount: Number(data.amount),
+                    currency: data.currency,
+                    name: 'EdCatalyst',
+                    handler: function () {
+                        document.getElementById('status').textContent = 'Payment received. Your receipt and invoice are on their way by email.';
+                    }
+                }).open();
+            });
+        </script>
+    `);
+}
+
+// Fee payments. POST /api/payments/links (a public form, see lib/forms.js)
+// emails a selected candidate a signed link to GET /api/payments/checkout/:token.
+// That page only shows the fee and a button, so link scanners never open
+// orders; the button POSTs to .../order. The provider's webhook
+// (routes/webhooks.js) records the payment. This router also has the
+// coordinator views and, with PAYMENT_PROVIDER=fake, a checkout page that
+// pays by sending the signed webhook a real provider would.
+function createPaymentsRouter({ feeDesk, provider }) {
+    const router = express.Router();
+
+    router.get('/payments/checkout/:token', handle(async (req, res) => {
+        let checkout;
+        try {
+            checkout = await feeDesk.describeCheckout(req.params.token);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return errorPage(res, error);
+            }
+            throw error;
+        }
+
+        res.type('html').send(page('Pay your enrollment fee', html`
+            <p>Dear ${checkout.name}, this is the enrollment fee for the ${checkout.courseName} internship.</p>
+            <p>Course fee: ${checkout.baseAmount}</p>
+            ${checkout.discount ? html`<p>Scholarship discount: -${checkout.discount}</p>` : ''}
+            <p><strong>Amount due: ${checkout.amount}</strong></p>
+            <form method="post" action="/api/payments/checkout/${encodeURIComponent(req.params.token)}/order">
+                <button type="submit" style="padding: 10px 20px;">Continue to payment</button>
+            </form>
+        `));
+    }));
+
+    // JSON for API clients; the button above is sent on to the provider
+    router.post('/payments/checkout/:token/order', handle(async (req, res) => {
+        const wantsPage = req.is('application/x-www-form-urlencoded');
+        let order;
+        try {
+            order = await feeDesk.createOrder(req.params.token);
+        } catch (error) {
+            if (wantsPage && error instanceof HttpError) {
+                return errorPage(res, error);
+            }
+            throw error;
+        }
+
+        if (!wantsPage) {
+            return res.status(201).json({ success: true, order });
+        }
+        if (order.checkout.url) {
+            return res.redirect(303, order.checkout.url);
+        }
+        res.type('html').send(razorpayCheckout(order.checkout));
+    }));
+
+    if (provider.name === 'fake') {
+        router.get('/payments/fake/:orderId', (req, res) => {
+            res.type('html').send(page('Test checkout', html`
+                <p>This is the local stand-in for the payment gateway. No money changes hands.</p>
+                <form method="post" action="${req.originalUrl}">
+                    <button type="submit" style="padding: 10px 20px;">Pay order ${req.params.orderId}</button>
+                </form>
+            `));
+        });
+
+        router.post('/payments/fake/:orderId', handle(async (req, res) => {
+            const result = await feeDesk.simulatePayment(req.params.orderId);
+            if (result.held) {
+                return res.type('html').send(page('Payment under review', html`
+                    <p>The amount paid does not match order ${req.params.orderId}, so it is held for review.</p>
+                `));
+            }
+            res.type('html').send(page(result.duplicate ? 'Already paid' : 'Payment received', html`
+                <p>Order ${req.params.orderId} is paid. The receipt and invoice are on their way by email.</p>
+            `));
+        }));
+    }
+
+    router.get('/admin/payments', requireRole('coordinator'), handle(async (req, res) => {
+        const payments = await feeDesk.listPayments(req.query);
+        res.json({ success: true, payments });
+    }));
+
+    router.get('/admin/payments/:id', requireRole('coordinator'), handle(async (req, res) => {
+        const payment = await feeDesk.getPayment(req.params.id);
+        res.json({ success: true, payment });
+    }));
+
+    router.get('/admin/payments/:id/invoice', requireRole('coordinator'), handle(async (req, res) => {
+        const invoice = await feeDesk.getInvoice(req.params.id);
+        res.attachment(invoice.filename).type(invoice.contentType).send(invoice.content);
+    }));
+
+    return router;
+}
+
+module.exports = createPaymentsRouter;
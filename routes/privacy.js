@@ -0,0 +1,106 @@
+const express = require('express');
+const handle = require('./handle');
+const { requireRole } = require('../lib/auth');
+const { validateBody } = require('../lib/validation');
+const { HttpError } = require('../lib/errors');
+const { html } = require('../lib/mail/templates/engine');
+const schemas = require('../lib/schemas');
+
+function page(title, body) {
+    return String(html`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; padding: 0 20px;">
+<h1 style="font-size: 22px;">${title}</h1>
+${body}
+</body>
+</html>`);
+}
+
+// Invalid, expired and spent links get a page rather than JSON
+function errorPage(res, error) {
+    res.status(error.status).type('html').send(page(error.error, html`
+        <p>${error.message}</p>
+    `));
+}
+
+// Self-service access and erasure for applicants. POST /api/privacy/requests
+// (a public form, see lib/forms.js) emails a link to GET /api/privacy/:token.
+// That page only shows buttons, so link scanners that prefetch URLs never
+// export or erase anything; the buttons POST to the endpoints below.
+function createPrivacyRouter({ privacyDesk, retention }) {
+    const router = express.Router();
+
+    router.get('/privacy/:token', handle(async (req, res) => {
+        let request;
+        try {
+            request = await privacyDesk.describeRequest(req.params.token);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return errorPage(res, error);
+            }
+            throw error;
+        }
+
+        const base = `/api/privacy/${encodeURIComponent(req.params.token)}`;
+        res.type('html').send(page('Your EdCatalyst data', html`
+            <p>This link lets you manage the data we hold about <strong>${request.email}</strong>. It works until ${request.expiresAt}.</p>
+            <form method="post" action="${base}/export">
+                <button type="submit" style="padding: 10px 20px;">Download my data (JSON)</button>
+            </form>
+            <p>Anonymizing keeps your registrations in our statistics without your name or email address. Deleting removes them entirely. Either way, this cannot be undone.</p>
+            <form method="post" action="${base}/erase">
+                <input type="hidden" name="mode" value="anonymize">
+                <button type="submit" style="padding: 10px 20px;">Anonymize my data</button>
+            </form>
+            <form method="post" action="${base}/erase" style="margin-top: 10px;">
+                <input type="hidden" name="mode" value="delete">
+                <button type="submit" style="padding: 10px 20px;">Delete my data</button>
+            </form>
+        `));
+    }));
+
+    router.post('/privacy/:token/export', handle(async (req, res) => {
+        const data = await privacyDesk.exportData(req.params.token);
+        res.attachment('edcatalyst-data.json').json(data);
+    }));
+
+    // JSON for API clients, a page for the buttons above
+    router.post('/privacy/:token/erase', express.urlencoded({ extended: false }), validateBody(schemas.privacyErase), handle(async (req, res) => {
+        const wantsPage = req.is('application/x-www-form-urlencoded');
+        let result;
+        try {
+            result = await privacyDesk.eraseData(req.params.token, req.body);
+        } catch (error) {
+            if (wantsPage && error instanceof HttpError) {
+                return errorPage(res, error);
+            }
+            throw error;
+        }
+
+        if (wantsPage) {
+            const deleted = result.mode === 'delete';
+            return res.type('html').send(page(deleted ? 'Your data has been deleted' : 'Your data has been anonymized', html`
+                <p>${deleted ?
+                    'Your registrations, messages and email history have been deleted.' :
+                    'Your registrations and messages no longer carry your name or email address, and your email history has been deleted.'}</p>
+                <p>If your address was on our do-not-email list, it stays there so we keep honoring that. Records of fees you paid are kept for our accounts.</p>
+            `));
+        }
+        res.json({ success: true, ...result });
+    }));
+
+    // Retention settings, and a manual run (?dryRun=true only counts)
+    router.get('/admin/privacy/retention', requireRole('admin'), (req, res) => {
+        res.json({ success: true, rules: retention.policy() });
+    });
+
+    router.post('/admin/privacy/retention/run', requireRole('admin'), handle(async (req, res) => {
+        const result = await retention.purge({ dryRun: req.query.dryRun === 'true' });
+        res.json({ success: true, ...result });
+    }));
+
+    return router;
+}
+
+module.exports = createPrivacyRouter;
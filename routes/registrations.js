@@ -0,0 +1,111 @@
+const express = require('express');
+const handle = require('./handle');
+const { requireRole, actorOf } = require('../lib/auth');
+const { validateBody } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+const { HttpError } = require('../lib/errors');
+const { toCsvRow } = require('../lib/csv');
+const { spreadsheetHeader, spreadsheetRow, spreadsheetFooter } = require('../lib/spreadsheet');
+const { EXPORT_COLUMNS, parseFilters } = require('../lib/registrations');
+const { logger } = require('../lib/logger');
+
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        // The BOM makes Excel read the file as UTF-8
+        header: () => '\uFEFF' + toCsvRow(EXPORT_COLUMNS),
+        row: toCsvRow,
+        footer: () => ''
+    },
+    xls: {
+        contentType: 'application/vnd.ms-excel; charset=utf-8',
+        extension: 'xls',
+        header: () => spreadsheetHeader('Registrations') + spreadsheetRow(EXPORT_COLUMNS),
+        row: spreadsheetRow,
+        footer: spreadsheetFooter
+    }
+};
+
+// Respect backpressure while streaming large exports
+function write(res, chunk) {
+    if (res.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => res.once('drain', resolve));
+}
+
+function createRegistrationsRouter({ lifecycle, queries, service }) {
+    const router = express.Router();
+
+    // Filtered, cursor-paginated registration list
+    router.get('/admin/registrations', requireRole('coordinator'), handle(async (req, res) => {
+        const result = await queries.listRegistrations(parseFilters(req.query));
+        res.json({ success: true, ...result });
+    }));
+
+    // Stream every matching registration as CSV or an Excel spreadsheet
+    router.get('/admin/registrations/export', requireRole('coordinator'), handle(async (req, res) => {
+        const format = EXPORT_FORMATS[req.query.format || 'csv'];
+        if (!format) {
+            throw new HttpError(400, 'Invalid format', `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        const filters = parseFilters(req.query);
+        const fileName = `registrations-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        try {
+            await write(res, format.header());
+            await queries.forEachRegistration(filters, registration => {
+                return write(res, format.row(EXPORT_COLUMNS.map(column => registration[column])));
+            });
+            await write(res, format.footer());
+            res.end();
+        } catch (error) {
+            // Headers are already sent, so all we can do is cut the download short
+            logger.error('Registration export failed', { error });
+            res.destroy(error);
+        }
+    }));
+
+    // Every course an applicant has registered for, with per-course
+    // confirmation status
+    router.get('/admin/applicants/:email/registrations', requireRole('coordinator'), handle(async (req, res) => {
+        const registrations = await service.listForApplicant(req.params.email);
+        res.json({ success: true, email: req.params.email, registrations });
+    }));
+
+    // Move a single candidate to a new lifecycle status
+    router.post('/admin/registrations/:id/status', requireRole('coordinator'), validateBody(schemas.statusTransition), handle(async (req, res) => {
+        const { status, note, data, sendEmail } = req.body;
+        const result = await lifecycle.transition(req.params.id, status, {
+            actor: actorOf(req),
+            note,
+            data,
+            sendEmail: sendEmail !== false
+        });
+        res.json({ success: true, ...result });
+    }));
+
+    // Move a batch of candidates to the same status
+    router.post('/admin/registrations/status', requireRole('coordinator'), validateBody(schemas.batchStatusTransition), handle(async (req, res) => {
+        const { ids, status, note, data, sendEmail } = req.body;
+        const results = await lifecycle.transitionMany(ids, status, {
+            actor: actorOf(req),
+            note,
+            data,
+            sendEmail: sendEmail !== false
+        });
+        res.json({
+            success: results.every(result => result.success),
+            results
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createRegistrationsRouter;
@@ -0,0 +1,42 @@
+const express = require('express');
+const handle = require('./handle');
+const { requireRole, actorOf } = require('../lib/auth');
+const { validate, validateBody } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+function createResultsRouter({ importer, scholarships }) {
+    const router = express.Router();
+
+    // Scholarship score bands and shortlist threshold
+    router.get('/admin/scholarship-settings', requireRole('coordinator'), handle(async (req, res) => {
+        const settings = await scholarships.getSettings();
+        res.json({ success: true, settings });
+    }));
+
+    router.put('/admin/scholarship-settings', requireRole('admin'), validateBody(schemas.scholarshipSettings), handle(async (req, res) => {
+        const settings = await scholarships.saveSettings(req.body);
+        res.json({ success: true, settings });
+    }));
+
+    // Import exam scores as CSV (text/csv) or JSON ({ results: [...] }).
+    // ?dryRun=true reports matches without saving; ?notify=false skips emails.
+    router.post('/admin/exam-results',
+        requireRole('admin'),
+        express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+        handle(async (req, res) => {
+            // CSV is checked row by row by the importer; JSON against the schema
+            const input = typeof req.body === 'string' ?
+                req.body :
+                validate(req.body, schemas.examResults).results;
+            const report = await importer.importResults(input, {
+                dryRun: req.query.dryRun === 'true',
+                notify: req.query.notify !== 'false',
+                actor: actorOf(req)
+            });
+            res.json({ success: true, ...report });
+        }));
+
+    return router;
+}
+
+module.exports = createResultsRouter;
@@ -0,0 +1,30 @@
+const express = require('express');
+const handle = require('./handle');
+const { requireRole } = require('../lib/auth');
+const { validateBody } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+function createSuppressionsRouter(suppressions) {
+    const router = express.Router();
+
+    router.get('/admin/suppressions', requireRole('coordinator'), handle(async (req, res) => {
+        const entries = await suppressions.listSuppressions({ reason: req.query.reason });
+        res.json({ success: true, suppressions: entries });
+    }));
+
+    router.post('/admin/suppressions', requireRole('admin'), validateBody(schemas.suppression), handle(async (req, res) => {
+        const { email, note } = req.body;
+        await suppressions.suppress(email, 'manual', { note: note || null });
+        res.status(201).json({ success: true });
+    }));
+
+    // Let an address receive email again, e.g. after a mailbox was fixed
+    router.delete('/admin/suppressions/:email', requireRole('admin'), handle(async (req, res) => {
+        await suppressions.unsuppress(req.params.email);
+        res.json({ success: true });
+    }));
+
+    return router;
+}
+
+module.exports = createSuppressionsRouter;
@@ -0,0 +1,38 @@
+const express = require('express');
+const handle = require('./handle');
+const { requireRole, actorOf } = require('../lib/auth');
+const { validateBody } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+function createTicketsRouter(desk) {
+    const router = express.Router();
+
+    router.get('/admin/tickets', requireRole('coordinator'), handle(async (req, res) => {
+        const result = await desk.listTickets(req.query);
+        res.json({ success: true, ...result });
+    }));
+
+    router.get('/admin/tickets/:id', requireRole('coordinator'), handle(async (req, res) => {
+        const ticket = await desk.getTicket(req.params.id);
+        res.json({ success: true, ticket });
+    }));
+
+    // Change status or assignee
+    router.patch('/admin/tickets/:id', requireRole('coordinator'), validateBody(schemas.ticketUpdate), handle(async (req, res) => {
+        const ticket = await desk.updateTicket(req.params.id, req.body);
+        res.json({ success: true, ticket });
+    }));
+
+    // Reply to the submitter; the reply is appended to the ticket thread
+    router.post('/admin/tickets/:id/replies', requireRole('coordinator'), validateBody(schemas.ticketReply), handle(async (req, res) => {
+        const ticket = await desk.replyToTicket(req.params.id, {
+            message: req.body.message,
+            actor: actorOf(req)
+        });
+        res.status(201).json({ success: true, ticket });
+    }));
+
+    return router;
+}
+
+module.exports = createTicketsRouter;
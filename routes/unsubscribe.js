@@ -0,0 +1,69 @@
+const express = require('express');
+const handle = require('./handle');
+const { html } = require('../lib/mail/templates/engine');
+const { verifyUnsubscribeToken } = require('../lib/unsubscribe');
+const { logger } = require('../lib/logger');
+
+const CAMPAIGN_ID_PATTERN = /^[\w-]{1,64}$/;
+
+function page(title, body) {
+    return String(html`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; padding: 0 20px;">
+<h1 style="font-size: 22px;">${title}</h1>
+${body}
+</body>
+</html>`);
+}
+
+// Public unsubscribe endpoint for the links in campaign emails. GET shows a
+// confirmation button, so link scanners that prefetch URLs do not
+// unsubscribe anyone; POST (the button, or a mail client's RFC 8058
+// one-click request) adds the address to the suppression list.
+function createUnsubscribeRouter(suppressions) {
+    const router = express.Router();
+
+    function verified(req, res) {
+        const { email, token } = req.query;
+        if (!verifyUnsubscribeToken(email, token)) {
+            res.status(400).type('html').send(page('Invalid unsubscribe link', html`
+                <p>This unsubscribe link is incomplete or has been altered. Please use the link from the email exactly as it was sent.</p>
+            `));
+            return null;
+        }
+        return String(email).trim().toLowerCase();
+    }
+
+    router.get('/unsubscribe', (req, res) => {
+        const email = verified(req, res);
+        if (!email) {
+            return;
+        }
+        res.type('html').send(page('Unsubscribe from announcements', html`
+            <p>Stop sending EdCatalyst announcements to <strong>${email}</strong>? You will still receive emails about your own registration.</p>
+            <form method="post" action="${req.originalUrl}">
+                <button type="submit" style="padding: 10px 20px;">Unsubscribe</button>
+            </form>
+        `));
+    });
+
+    router.post('/unsubscribe', handle(async (req, res) => {
+        const email = verified(req, res);
+        if (!email) {
+            return;
+        }
+
+        const campaignId = CAMPAIGN_ID_PATTERN.test(req.query.campaign || '') ? req.query.campaign : null;
+        const added = await suppressions.unsubscribe(email, { campaignId });
+        logger.info('Unsubscribe request', { email, campaignId, added });
+
+        res.type('html').send(page('You have been unsubscribed', html`
+            <p><strong>${email}</strong> will no longer receive EdCatalyst announcements.</p>
+        `));
+    }));
+
+    return router;
+}
+
+module.exports = createUnsubscribeRouter;
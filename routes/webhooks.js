@@ -0,0 +1,41 @@
+const express = require('express');
+const handle = require('./handle');
+const { HttpError } = require('../lib/errors');
+const { verifyResendSignature } = require('../lib/deliveries');
+const { requestContext } = require('../lib/logger');
+const { getConfig } = require('../lib/config');
+
+// Mounted before the JSON body parser: signature checks need the raw body
+function createWebhooksRouter({ tracker, feeDesk, resendSecret = getConfig().mail.resend.webhookSecret }) {
+    const router = express.Router();
+
+    router.post('/webhooks/resend', express.raw({ type: '*/*', limit: '1mb' }), requestContext(), handle(async (req, res) => {
+        if (!resendSecret) {
+            throw new HttpError(503, 'Webhooks disabled', 'RESEND_WEBHOOK_SECRET is not configured');
+        }
+
+        const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+        const eventId = verifyResendSignature(req.headers, rawBody, resendSecret);
+
+        let event;
+        try {
+            event = JSON.parse(rawBody);
+        } catch (error) {
+            throw new HttpError(400, 'Invalid webhook', 'Body is not valid JSON');
+        }
+
+        const processed = await tracker.handleEvent(eventId, event);
+        res.json({ success: true, duplicate: !processed });
+    }));
+
+    // Payment events; the provider adapter checks its own signature
+    router.post('/webhooks/payments', express.raw({ type: '*/*', limit: '1mb' }), requestContext(), handle(async (req, res) => {
+        const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+        const result = await feeDesk.handleWebhook(req.headers, rawBody);
+        res.json({ success: true, ...result });
+    }));
+
+    return router;
+}
+
+module.exports = createWebhooksRouter;
@@ -1,428 +1,221 @@
 const express = require('express');
 const cors = require('cors');
-const { Resend } = require('resend');
 const admin = require('firebase-admin');
-const https = require('https');
-const fs = require('fs');
 require('dotenv').config();
+const { getConfig } = require('./lib/config');
+const { getTransport } = require('./lib/mail');
+const { getDatastore } = require('./lib/datastore');
+const { createServices } = require('./lib/services');
+const { FORMS, createFormGuards, failureResponse } = require('./lib/forms');
+const { HttpError } = require('./lib/errors');
+const { logger, configureLogging, requestContext } = require('./lib/logger');
+const { httpMetrics, instrumentFirestore } = require('./lib/metrics');
+const { createHealthChecks } = require('./lib/health');
+const { corsOptions } = require('./lib/cors');
+const { runMigrations } = require('./lib/migrations');
+const handle = require('./routes/handle');
+const createHealthRouter = require('./routes/health');
+const createCoursesRouter = require('./routes/courses');
+const createRegistrationsRouter = require('./routes/registrations');
+const createExamsRouter = require('./routes/exams');
+const createResultsRouter = require('./routes/results');
+const { createAuthenticator, requireRole } = require('./lib/auth');
+const createAuthRouter = require('./routes/auth');
+const createTicketsRouter = require('./routes/tickets');
+const createSuppressionsRouter = require('./routes/suppressions');
+const createWebhooksRouter = require('./routes/webhooks');
+const createCampaignsRouter = require('./routes/campaigns');
+const createUnsubscribeRouter = require('./routes/unsubscribe');
+const createPrivacyRouter = require('./routes/privacy');
+const createPaymentsRouter = require('./routes/payments');
+
+// Load and validate every setting before anything else starts
+let config;
+try {
+    config = getConfig();
+    configureLogging(config.logging);
+} catch (error) {
+    logger.error('Invalid configuration', { problems: error.problems || [error.message] });
+    process.exit(1);
+}
 
 const app = express();
-const port = process.env.PORT || 3000;
+const port = config.port;
 
-// CORS Configuration
+// Correlation ID for every request, returned in the X-Request-Id header
+app.use(requestContext());
 
-// Apply CORS middleware
-app.use(cors());
+// Request counts and latency per route for /metrics
+app.use(httpMetrics());
 
-// SSL/TLS Configuration for development
-const sslOptions = {
-    rejectUnauthorized: process.env.NODE_ENV === 'production', // Only verify SSL in production
-    secureProtocol: 'TLSv1_2_method'
-};
+// CORS limited to the CORS_ORIGINS allowlist
+app.use(cors(corsOptions(config.cors.origins)));
 
-// Initialize Resend with SSL configuration
-const resend = new Resend(process.env.RESEND_API_KEY, {
-    timeout: 10000,
-    retries: 3,
-    retryDelay: 1000,
-    httpsAgent: new https.Agent(sslOptions)
-});
-
-// Verify Resend API key
-if (!process.env.RESEND_API_KEY) {
-    console.error('RESEND_API_KEY is not set in environment variables');
+// Initialize the mail transport (resend, smtp or outbox via MAIL_TRANSPORT)
+let mailTransport;
+try {
+    mailTransport = getTransport();
+    logger.info('Mail transport initialized', { transport: mailTransport.name });
+} catch (error) {
+    logger.error('Error initializing mail transport', { error });
     process.exit(1);
 }
 
 // Middleware to handle preflight requests
-app.options('*', cors());
+app.options('*', cors(corsOptions(config.cors.origins)));
 
-// Middleware to log requests
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-    console.log('Origin:', req.headers.origin);
-    next();
-});
-
-// Middleware to handle errors
-app.use((err, req, res, next) => {
-    console.error('Error:', {
-        message: err.message,
-        stack: err.stack,
-        code: err.code
-    });
-    
-    // Handle path-to-regexp errors specifically
-    if (err instanceof TypeError && err.message.includes('Missing parameter name')) {
-        return res.status(400).json({
-            error: 'Invalid route parameter',
-            message: 'The requested URL contains invalid parameters'
-        });
+// Initialize Firestore (timing every call) or the local datastore picked by DATASTORE
+let db;
+try {
+    if (config.datastore.type === 'firestore') {
+        instrumentFirestore();
     }
-    
-    res.status(500).json({
-        error: 'Internal Server Error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'An error occurred',
-        details: process.env.NODE_ENV === 'development' ? err.stack : undefined
-    });
-});
+    db = getDatastore();
+} catch (error) {
+    logger.error('Error initializing the datastore', { error });
+    process.exit(1);
+}
 
-// Initialize Firebase Admin
+// Services shared with the serverless handlers in api/ (lib/services.js)
+let services;
 try {
-    // Initialize with environment variables and SSL configuration
-    const app = admin.initializeApp({
-        credential: admin.credential.cert({
-            projectId: process.env.FIREBASE_PROJECT_ID,
-            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-            privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
-        }),
-        projectId: process.env.FIREBASE_PROJECT_ID,
-        databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`,
-        httpAgent: new https.Agent({
-            rejectUnauthorized: process.env.NODE_ENV === 'production',
-            secureProtocol: 'TLSv1_2_method',
-            ciphers: 'HIGH:!aNULL:!MD5',
-            minVersion: 'TLSv1.2',
-            maxVersion: 'TLSv1.3'
-        })
-    });
-
-    console.log('Firebase Admin SDK initialized successfully');
-    
-    // Verify the app is properly initialized
-    const apps = admin.apps;
-    console.log('Initialized Firebase apps:', apps.map(app => app.name));
-    
+    services = createServices({ db, transport: mailTransport });
 } catch (error) {
-    console.error('Error initializing Firebase Admin SDK:', {
-        message: error.message,
-        code: error.code,
-        stack: error.stack
-    });
+    logger.error('Error initializing services', { error });
     process.exit(1);
 }
 
-// Initialize Firestore with explicit settings and SSL configuration
-const db = admin.firestore();
-db.settings({
-    ignoreUndefinedProperties: true,
-    projectId: process.env.FIREBASE_PROJECT_ID,
-    ssl: true,
-    httpAgent: new https.Agent({
-        rejectUnauthorized: process.env.NODE_ENV === 'production',
-        secureProtocol: 'TLSv1_2_method',
-        ciphers: 'HIGH:!aNULL:!MD5',
-        minVersion: 'TLSv1.2',
-        maxVersion: 'TLSv1.3'
-    })
-});
+const {
+    suppressions,
+    emailWorker,
+    courseCatalog,
+    ensureCatalog,
+    lifecycle,
+    examScheduler,
+    registrationService,
+    registrationQueries,
+    campaigns,
+    scholarships,
+    resultsImporter,
+    ticketDesk,
+    deliveryTracker,
+    privacyDesk,
+    retention,
+    paymentProvider,
+    feeDesk
+} = services;
+
+// Liveness, readiness and Prometheus metrics: /healthz, /readyz, /metrics
+const healthChecks = createHealthChecks({ db, transport: mailTransport });
+app.use(createHealthRouter({ checks: healthChecks }));
+
+// Provider webhooks need the raw body, so they go before the JSON parser
+app.use('/api', createWebhooksRouter({ tracker: deliveryTracker, feeDesk }));
 
 // Middleware
 app.use(express.json());
-app.use(express.static('.')); // Serve static files from current directory
-
-// Helper function to send email with retries
-async function sendEmailWithRetry(emailConfig, maxRetries = 3) {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            console.log(`Attempting to send email (Attempt ${attempt}/${maxRetries})...`);
-            
-            // Add exponential backoff delay between retries
-            if (attempt > 1) {
-                const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-                console.log(`Waiting ${delay/1000} seconds before retry...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
-
-            // Configure SSL/TLS for this attempt
-            const sslConfig = {
-                rejectUnauthorized: process.env.NODE_ENV === 'production',
-                secureProtocol: 'TLSv1_2_method',
-                ciphers: 'HIGH:!aNULL:!MD5',
-                minVersion: 'TLSv1.2',
-                maxVersion: 'TLSv1.3'
-            };
-
-            // Update Resend configuration for this attempt
-            const resendWithSSL = new Resend(process.env.RESEND_API_KEY, {
-                timeout: 10000,
-                retries: 0, // We're handling retries manually
-                httpsAgent: new https.Agent(sslConfig)
-            });
-
-            const data = await resendWithSSL.emails.send(emailConfig);
-            
-            if (data.error) {
-                throw new Error(data.error.message);
-            }
-
-            console.log('Email sent successfully:', data);
-            return data;
+app.use(requestContext()); // rebind the request ID after the body parser
+app.use(express.static(config.staticDir, { dotfiles: 'deny' })); // Public files from STATIC_DIR
 
-        } catch (error) {
-            lastError = error;
-            const isNetworkError = error.message.includes('fetch failed') || 
-                                 error.message.includes('ETIMEDOUT') ||
-                                 error.message.includes('ECONNREFUSED') ||
-                                 error.message.includes('network') ||
-                                 error.message.includes('timeout') ||
-                                 error.message.includes('DECODER routines::unsupported') ||
-                                 error.message.includes('Getting metadata from plugin failed');
-
-            console.error(`Attempt ${attempt} failed:`, {
-                message: error.message,
-                code: error.code,
-                cause: error.cause,
-                isNetworkError,
-                stack: error.stack,
-                attempt,
-                maxRetries
-            });
-
-            // If it's not a network error or we're out of retries, throw the error
-            if (!isNetworkError || attempt === maxRetries) {
-                throw error;
-            }
-
-            // Additional delay for SSL/TLS errors
-            if (error.message.includes('DECODER routines::unsupported') || 
-                error.message.includes('Getting metadata from plugin failed')) {
-                const sslDelay = 2000 * attempt; // Increasing delay for each attempt
-                console.log(`SSL/TLS error detected. Waiting ${sslDelay/1000} seconds before retry...`);
-                await new Promise(resolve => setTimeout(resolve, sslDelay));
-            }
-        }
-    }
+// Behind a load balancer, TRUST_PROXY makes req.ip the client address
+if (config.trustProxy !== null) {
+    app.set('trust proxy', config.trustProxy);
+}
 
-    throw lastError;
+// Admin routes require a Firebase ID token with a role claim, or an API key.
+// Without Firestore there is no Firebase project, so only API keys work.
+let authenticator;
+try {
+    authenticator = createAuthenticator(config.datastore.type === 'firestore' ? {} : { auth: null });
+} catch (error) {
+    logger.error('Error initializing admin authentication', { error });
+    process.exit(1);
 }
+app.use('/api/admin', authenticator.authenticate());
+app.use('/api', createAuthRouter(authenticator));
 
-// Contact Form Email API endpoint
-app.post('/api/send-email', express.json(), async (req, res) => {
-    try {
-        const { from, name, subject, message } = req.body;
+// Course catalog: public GET /api/courses and /api/admin/courses CRUD
+app.use('/api', createCoursesRouter(courseCatalog));
 
-        if (!from || !name || !subject || !message) {
-            return res.status(400).json({
-                error: 'Missing required fields',
-                message: 'Please provide all required fields'
-            });
-        }
+// Admin registration listing, export and lifecycle transitions
+app.use('/api', createRegistrationsRouter({
+    lifecycle,
+    queries: registrationQueries,
+    service: registrationService
+}));
 
-        console.log('Attempting to send contact form email...');
-        console.log('From:', from);
-        console.log('Name:', name);
-        console.log('Subject:', subject);
-
-        const data = await resend.emails.send({
-            from: 'Resend <onboarding@resend.dev>',  // Using Resend's default domain
-            to: ['edcatalyst.in@gmail.com'],
-            subject: `New Contact Form Submission: ${subject}`,
-            html: `
-                <h2>New Contact Form Submission</h2>
-                <p><strong>Name:</strong> ${name}</p>
-                <p><strong>Email:</strong> ${from}</p>
-                <p><strong>Subject:</strong> ${subject}</p>
-                <p><strong>Message:</strong></p>
-                <p>${message}</p>
-            `,
-            reply_to: from  // Add reply-to header
-        });
+// Exam slot management under /api/admin/exam-slots
+app.use('/api', createExamsRouter(examScheduler));
 
-        if (data.error) {
-            throw new Error(data.error.message);
-        }
+// Exam result import and scholarship settings
+app.use('/api', createResultsRouter({ importer: resultsImporter, scholarships }));
 
-        console.log('Contact form email sent successfully:', data);
+// Support tickets from the contact form
+app.use('/api', createTicketsRouter(ticketDesk));
 
-        return res.status(200).json({
-            success: true,
-            message: 'Email sent successfully',
-            data
-        });
-    } catch (error) {
-        console.error('Detailed error:', {
-            message: error.message,
-            code: error.code,
-            cause: error.cause
-        });
-        
-        return res.status(500).json({
-            error: 'Failed to send email',
-            message: 'There was an error sending your message. Please try again later.',
-            details: error.message
-        });
-    }
-});
+// Suppression list management
+app.use('/api', createSuppressionsRouter(suppressions));
 
-// Registration confirmation email endpoint
-app.post('/api/send-confirmation', express.json(), async (req, res) => {
-    try {
-        const { name, email, course } = req.body;
-
-        // Map course codes to full names
-        const courseNames = {
-            'web': 'WebCraft Pro: Full Stack Bootcamp',
-            'cyber': 'Certified Cybersecurity Foundations and Practical Analyst Program (CCFPAP)',
-            'data': 'Data Science & Machine Learning',
-            'cloud': 'Cloud Computing & DevOps'
-        };
-
-        if (!name || !email || !course) {
-            return res.status(400).json({
-                error: 'Missing required fields',
-                message: 'Please provide name, email, and course'
-            });
-        }
+// Cohort announcement campaigns
+app.use('/api', createCampaignsRouter(campaigns));
 
-        // Check if email was already sent
-        const registrationsRef = db.collection('internship_registrations');
-        const querySnapshot = await registrationsRef
-            .where('email', '==', email)
-            .get();
-
-        if (!querySnapshot.empty) {
-            const registrationDoc = querySnapshot.docs[0];
-            const registrationData = registrationDoc.data();
-
-            // If email was already sent successfully, return early
-            if (registrationData.confirmationEmailSent) {
-                console.log('Email already sent to:', email);
-                return res.status(200).json({
-                    success: true,
-                    message: 'Confirmation email was already sent to this user',
-                    alreadySent: true
-                });
-            }
+// Public one-click unsubscribe for campaign emails
+app.use('/api', createUnsubscribeRouter(suppressions));
 
-            // If there were previous failed attempts, check if we should retry
-            if (registrationData.emailAttempts && registrationData.emailAttempts >= 3) {
-                console.log('Maximum email attempts reached for:', email);
-                return res.status(429).json({
-                    error: 'Too many attempts',
-                    message: 'Maximum number of email attempts reached. Please contact support.'
-                });
-            }
-        }
+// Fee payment records and invoices (plus the fake provider's checkout page)
+app.use('/api', createPaymentsRouter({ feeDesk, provider: paymentProvider }));
 
-        console.log('Sending registration confirmation email...');
-        console.log('To:', email);
-        console.log('Name:', name);
-        console.log('Course:', courseNames[course] || course);
-
-        const emailConfig = {
-            from: 'EdCatalyst <noreply@edcatalyst.in>',
-            to: [email],
-            subject: 'Confirmation of Registration – EdCatalyst Summer Internship Program',
-            html: `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-                    <p>Dear ${name},</p>
-                    
-                    <p>Thank you for registering for the EdCatalyst Summer Internship Program. We are pleased to confirm that your registration for the ${courseNames[course] || course} internship has been successfully received. Please note that this registration does not guarantee final selection. The next step in the process is the Online Scholarship Examination, which will be conducted on within 2 days of your Registration. You will Receive link from Scholarship Test link from us on the Day of Scholarship test . Your performance in this assessment will determine your eligibility for the internship as well as any applicable scholarship benefits.</p>
-                    
-                    <p>Following the examination, shortlisted candidates will receive an official selection email along with further instructions for completing the enrollment, including fee payment and document submission. We encourage you to prepare thoroughly for the exam, as it plays a crucial role in securing your place in the program.</p>
-                    
-                    <p>If you have any questions or require additional details regarding the exam pattern or syllabus, feel free to reach out to edcatalyst.in@gmail.com, our Internship Coordinator.</p>
-                    
-                    <p>We appreciate your interest in EdCatalyst and look forward to your participation in the upcoming examination.</p>
-                    
-                    <p>Warm regards,<br>
-                    Team EdCatalyst<br>
-                    www.edcatalyst.in</p>
-                </div>
-            `,
-            reply_to: 'edcatalyst.in@gmail.com'
-        };
+// Applicant data export and erasure links, and the admin retention controls
+app.use('/api', createPrivacyRouter({ privacyDesk, retention }));
 
-        try {
-            // Send email with retry logic
-            const data = await sendEmailWithRetry(emailConfig);
-
-            // Update the registration document to mark email as sent
-            const registrationDoc = querySnapshot.empty ? 
-                await registrationsRef.add({
-                    email,
-                    name,
-                    course: courseNames[course] || course,
-                    confirmationEmailSent: true,
-                    emailSentAt: admin.firestore.FieldValue.serverTimestamp(),
-                    emailAttempts: 1,
-                    lastEmailAttempt: admin.firestore.FieldValue.serverTimestamp()
-                }) :
-                await querySnapshot.docs[0].ref.update({
-                    confirmationEmailSent: true,
-                    emailSentAt: admin.firestore.FieldValue.serverTimestamp(),
-                    emailAttempts: admin.firestore.FieldValue.increment(1),
-                    lastEmailAttempt: admin.firestore.FieldValue.serverTimestamp()
-                });
-
-            console.log('Registration document updated successfully');
-
-            return res.status(200).json({
-                success: true,
-                message: 'Confirmation email sent successfully',
-                data
-            });
+// Public forms. The guards and handlers live in lib/forms.js so the
+// serverless functions in api/ behave the same.
+const formGuards = createFormGuards(services);
 
+function formRoute(formName) {
+    const form = FORMS[formName];
+    return [...formGuards[formName], async (req, res, next) => {
+        try {
+            const { status, body } = await form.submit(services, req.body);
+            res.status(status).json(body);
         } catch (error) {
-            // Update the registration document with failed attempt
-            if (!querySnapshot.empty) {
-                await querySnapshot.docs[0].ref.update({
-                    emailAttempts: admin.firestore.FieldValue.increment(1),
-                    lastEmailAttempt: admin.firestore.FieldValue.serverTimestamp(),
-                    lastEmailError: error.message
-                });
+            if (error instanceof HttpError) {
+                return next(error);
             }
-
-            throw error;
+            const { status, body } = failureResponse(error, form.failure);
+            res.status(status).json(body);
         }
+    }];
+}
 
-    } catch (error) {
-        console.error('Error sending confirmation email:', {
-            message: error.message,
-            code: error.code,
-            cause: error.cause
-        });
-        
-        return res.status(500).json({
-            error: 'Failed to send confirmation email',
-            message: 'There was an error sending the confirmation email. Please try again later.',
-            details: error.message
-        });
-    }
-});
+// Contact Form Email API endpoint
+app.post('/api/send-email', formRoute('contactForm'));
 
-// Health check endpoint
-app.get('/api/health', async (req, res) => {
-    try {
-        // Test Firestore connection
-        const testDoc = await db.collection('test').doc('test').get();
-        res.json({ 
-            status: 'ok', 
-            resendConfigured: !!process.env.RESEND_API_KEY,
-            firestoreConnected: true
-        });
-    } catch (error) {
-        console.error('Firestore test error:', error);
-        res.json({ 
-            status: 'error', 
-            resendConfigured: !!process.env.RESEND_API_KEY,
-            firestoreConnected: false,
-            error: error.message
-        });
-    }
-});
+// Registration confirmation email endpoint
+app.post('/api/send-confirmation', formRoute('registration'));
+
+// Emails a selected candidate a signed link to pay their fee
+app.post('/api/payments/links', formRoute('paymentLink'));
+
+// Emails a link to export or erase the data held for an address
+app.post('/api/privacy/requests', formRoute('privacyRequest'));
+
+// Legacy health check; same checks as /readyz, including the 503
+app.get('/api/health', handle(async (req, res) => {
+    const { ready, checks } = await healthChecks.readiness();
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ok' : 'error',
+        mailTransport: mailTransport.name,
+        firestoreConnected: checks.firestore.ok,
+        ...(checks.firestore.error ? { error: checks.firestore.error } : {})
+    });
+}));
 
-// Test Firestore connection endpoint
-app.get('/api/test-firestore', async (req, res) => {
+// Test Firestore connection endpoint (admins only)
+app.get('/api/test-firestore', authenticator.authenticate(), requireRole('admin'), async (req, res) => {
     try {
-        console.log('Testing Firestore connection...');
-        
         // Try to list collections first
         const collections = await db.listCollections();
-        console.log('Available collections:', collections.map(c => c.id));
         
         // Try to create a test document
         const testRef = db.collection('test').doc('connection-test');
@@ -443,11 +236,7 @@ app.get('/api/test-firestore', async (req, res) => {
             }
         });
     } catch (error) {
-        console.error('Firestore test error:', {
-            message: error.message,
-            code: error.code,
-            stack: error.stack
-        });
+        logger.error('Firestore test failed', { error });
         
         res.status(500).json({
             status: 'error',
@@ -464,10 +253,71 @@ app.get('/', (req, res) => {
     res.send("EdCatalyst Server - Contact Form & Registration System");
 });
 
-// Start server
-app.listen(port, () => {
-    console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode`);
-    console.log(`Server running at http://localhost:${port}`);
-    console.log('CORS enabled for all origins');
-    console.log('SSL verification:', sslOptions.rejectUnauthorized ? 'enabled' : 'disabled');
-});
\ No newline at end of file
+// Middleware to handle errors (registered after the routes so it sees their errors)
+app.use((err, req, res, next) => {
+    // Expected failures: validation, auth, not found, conflicts
+    if (err instanceof HttpError) {
+        return res.status(err.status).json(err);
+    }
+
+    // Malformed or oversized request bodies from the body parsers
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            error: 'Invalid JSON',
+            message: 'The request body is not valid JSON'
+        });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            error: 'Payload too large',
+            message: 'The request body is too large'
+        });
+    }
+
+    logger.error('Unhandled error', { error: err });
+
+    // Handle path-to-regexp errors specifically
+    if (err instanceof TypeError && err.message.includes('Missing parameter name')) {
+        return res.status(400).json({
+            error: 'Invalid route parameter',
+            message: 'The requested URL contains invalid parameters'
+        });
+    }
+
+    res.status(500).json({
+        error: 'Internal Server Error',
+        message: config.env === 'development' ? err.message : 'An error occurred',
+        details: config.env === 'development' ? err.stack : undefined
+    });
+});
+
+// Start the server when run directly; tests require() the app instead
+if (require.main === module) {
+    app.listen(port, () => {
+        emailWorker.start();
+        examScheduler.start();
+        campaigns.start();
+        retention.start();
+
+        ensureCatalog()
+            .then(seeded => seeded && logger.info('Seeded default course catalog'))
+            .catch(error => logger.error('Failed to seed course catalog', { error }));
+
+        // e.g. createdAt for registrations stored before it existed
+        runMigrations(db)
+            .catch(error => logger.error('Failed to apply migrations', { error }));
+
+        logger.info('Server started', {
+            mode: config.env,
+            url: `http://localhost:${port}`,
+            corsOrigins: config.cors.origins,
+            datastore: config.datastore.type,
+            mailTransport: mailTransport.name,
+            paymentProvider: paymentProvider.name,
+            sslVerification: config.tls.rejectUnauthorized,
+            logLevel: logger.level
+        });
+    });
+}
+
+module.exports = { app, services };
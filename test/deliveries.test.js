@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadConfig, setConfig } = require('../lib/config');
+const { configureLogging } = require('../lib/logger');
+const { createMemoryFirestore } = require('../lib/datastore/memory');
+const { createSuppressionList } = require('../lib/suppressions');
+const { verifyResendSignature, createDeliveryTracker } = require('../lib/deliveries');
+
+const config = loadConfig({ NODE_ENV: 'test' });
+setConfig(config);
+configureLogging(config.logging);
+
+const SECRET = `whsec_${Buffer.from('webhook-test-secret').toString('base64')}`;
+
+function signedHeaders(body, { id = 'msg_1', timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const signature = crypto
+        .createHmac('sha256', Buffer.from('webhook-test-secret'))
+        .update(`${id}.${timestamp}.${body}`)
+        .digest('base64');
+    return { 'svix-id': id, 'svix-timestamp': String(timestamp), 'svix-signature': `v1,${signature}` };
+}
+
+function bounce(to) {
+    return {
+        type: 'email.bounced',
+        created_at: new Date().toISOString(),
+        data: { email_id: 'provider-message-1', to: [to], bounce: { type: 'Permanent', message: 'Mailbox does not exist' } }
+    };
+}
+
+test('verifyResendSignature accepts a valid signature and returns the event id', () => {
+    const body = JSON.stringify(bounce('a@example.com'));
+    assert.equal(verifyResendSignature(signedHeaders(body), body, SECRET), 'msg_1');
+});
+
+test('verifyResendSignature rejects a tampered body', () => {
+    const body = JSON.stringify(bounce('a@example.com'));
+    assert.throws(() => verifyResendSignature(signedHeaders(body), `${body} `, SECRET), { status: 401 });
+});
+
+test('verifyResendSignature rejects non-numeric and stale timestamps', () => {
+    const body = '{}';
+    assert.throws(() => verifyResendSignature(signedHeaders(body, { timestamp: 'soon' }), body, SECRET), { status: 400 });
+    const stale = Math.floor(Date.now() / 1000) - 60 * 60;
+    assert.throws(() => verifyResendSignature(signedHeaders(body, { timestamp: stale }), body, SECRET), { status: 400 });
+});
+
+test('handleEvent applies an event once and reports redeliveries as duplicates', async () => {
+    const db = createMemoryFirestore();
+    const suppressions = createSuppressionList(db);
+    const tracker = createDeliveryTracker(db, { suppressions });
+
+    assert.equal(await tracker.handleEvent('evt_1', bounce('a@example.com')), true);
+    assert.equal(await tracker.handleEvent('evt_1', bounce('a@example.com')), false);
+    assert.equal(await suppressions.isSuppressed('a@example.com'), true);
+});
+
+test('handleEvent leaves a failed event unrecorded so the retry applies it', async () => {
+    const db = createMemoryFirestore();
+    const suppressions = createSuppressionList(db);
+    let failures = 1;
+    const flaky = {
+        ...suppressions,
+        async suppress(...args) {
+            if (failures > 0) {
+                failures -= 1;
+                throw new Error('Firestore unavailable');
+            }
+            return suppressions.suppress(...args);
+        }
+    };
+    const tracker = createDeliveryTracker(db, { suppressions: flaky });
+
+    await assert.rejects(tracker.handleEvent('evt_2', bounce('b@example.com')), /Firestore unavailable/);
+    assert.equal(await suppressions.isSuppressed('b@example.com'), false);
+
+    assert.equal(await tracker.handleEvent('evt_2', bounce('b@example.com')), true);
+    assert.equal(await suppressions.isSuppressed('b@example.com'), true);
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, setConfig } = require('../lib/config');
+const { configureLogging } = require('../lib/logger');
+const { createMemoryFirestore } = require('../lib/datastore/memory');
+const { OUTBOX_COLLECTION } = require('../lib/mail/queue');
+const { REGISTRATIONS_COLLECTION } = require('../lib/registration-repository');
+const { createCourseCatalog } = require('../lib/courses');
+const { createLifecycle } = require('../lib/lifecycle');
+const { createFakeProvider } = require('../lib/payments/providers/fake');
+const { PAYMENTS_COLLECTION, paymentToken, verifyPaymentToken, createFeeDesk } = require('../lib/fees');
+
+const config = loadConfig({ NODE_ENV: 'test', PAYMENT_LINK_SECRET: 'payment-link-test-secret' });
+setConfig(config);
+configureLogging(config.logging);
+
+// A fee desk over an empty datastore with a 25,000 INR fee for "web" and
+// one registration in the given status with a 20% scholarship
+async function setup({ status = 'selected', email = 'asha@example.com' } = {}) {
+    const db = createMemoryFirestore();
+    const provider = createFakeProvider({ baseUrl: 'http://localhost:3000', secret: 'fake-provider-secret' });
+    const courseCatalog = createCourseCatalog(db);
+    await courseCatalog.ensureDefaultCourses();
+    await courseCatalog.updateCourse('web', { fee: { amount: 25000 } });
+
+    const registration = await db.collection(REGISTRATIONS_COLLECTION).add({
+        email,
+        name: 'Asha Rao',
+        course: 'WebCraft Pro: Full Stack Bootcamp',
+        courseCode: 'web',
+        status,
+        locale: 'en',
+        scholarshipTier: 'silver',
+        scholarshipDiscountPercent: 20,
+        history: []
+    });
+
+    const feeDesk = createFeeDesk(db, { provider, courseCatalog, lifecycle: createLifecycle(db) });
+    return { db, provider, feeDesk, registration };
+}
+
+function linkToken(registrationId) {
+    return paymentToken(registrationId, Date.now() + 60 * 60 * 1000);
+}
+
+async function outboxJobs(db, kind) {
+    const snapshot = await db.collection(OUTBOX_COLLECTION).get();
+    return snapshot.docs.filter(doc => !kind || doc.get('kind') === kind);
+}
+
+test('payment link tokens are signed and expire', () => {
+    const token = linkToken('reg-1');
+    assert.equal(verifyPaymentToken(token), 'reg-1');
+    assert.throws(() => verifyPaymentToken(`${token.slice(0, -2)}xx`), { status: 404 });
+    assert.throws(() => verifyPaymentToken('reg-1'), { status: 404 });
+    assert.throws(() => verifyPaymentToken(paymentToken('reg-1', Date.now() - 1000)), { status: 410 });
+});
+
+test('requestPaymentLink answers alike and only emails a fee that is due', async () => {
+    const { db, feeDesk } = await setup({ status: 'shortlisted' });
+
+    assert.deepEqual(await feeDesk.requestPaymentLink({ email: 'asha@example.com', course: 'web' }), { sent: false });
+    assert.deepEqual(await feeDesk.requestPaymentLink({ email: 'nobody@example.com', course: 'web' }), { sent: false });
+    assert.equal((await outboxJobs(db)).length, 0);
+
+    const selected = await setup({ email: 'Asha@Example.com' });
+    const result = await selected.feeDesk.requestPaymentLink({ email: 'Asha@Example.com', course: 'web' });
+    assert.equal(result.sent, true);
+    const [job] = await outboxJobs(selected.db, 'paymentLink');
+    assert.match(job.get('message').text, /₹20,000\.00/);
+    assert.match(job.get('message').text, /\/api\/payments\/checkout\//);
+});
+
+test('orders apply the scholarship discount and never expose the tier', async () => {
+    const { feeDesk, registration } = await setup();
+    const order = await feeDesk.createOrder(linkToken(registration.id));
+
+    assert.equal(order.baseAmount, 2500000);
+    assert.equal(order.discount, 500000);
+    assert.equal(order.amount, 2000000);
+    assert.equal(order.scholarshipTier, undefined);
+    assert.equal(order.discountPercent, undefined);
+
+    const again = await feeDesk.createOrder(linkToken(registration.id));
+    assert.equal(again.orderId, order.orderId, 'an open order is reused');
+});
+
+test('overlapping payment webhooks record one payment and send one receipt', async () => {
+    const { db, provider, feeDesk, registration } = await setup();
+    const order = await feeDesk.createOrder(linkToken(registration.id));
+    const payment = (await db.collection(PAYMENTS_COLLECTION).doc(order.orderId).get()).data();
+
+    // Razorpay sends payment.captured and order.paid for the same payment
+    const deliveries = [provider.simulatePayment(payment), provider.simulatePayment(payment), provider.simulatePayment(payment)];
+    const results = await Promise.all(deliveries.map(({ headers, body }) => feeDesk.handleWebhook(headers, body)));
+
+    assert.equal(results.filter(result => !result.duplicate).length, 1);
+    const receipts = (await outboxJobs(db)).filter(job => job.get('message').attachments);
+    assert.equal(receipts.length, 1);
+    assert.equal(receipts[0].get('message').attachments[0].contentType, 'application/pdf');
+
+    const stored = await feeDesk.getPayment(order.orderId);
+    assert.equal(stored.status, 'paid');
+    assert.equal(stored.receiptJobId, receipts[0].id);
+    assert.equal((await registration.get()).get('status'), 'fee_paid');
+
+    const late = provider.simulatePayment(payment);
+    assert.deepEqual(await feeDesk.handleWebhook(late.headers, late.body), { handled: true, duplicate: true });
+    assert.equal((await outboxJobs(db)).filter(job => job.get('message').attachments).length, 1);
+});
+
+test('a capture for a different amount is held without a receipt', async () => {
+    const { db, provider, feeDesk, registration } = await setup();
+    const order = await feeDesk.createOrder(linkToken(registration.id));
+
+    const { headers, body } = provider.simulatePayment({ orderId: order.orderId, amount: 100, currency: 'INR' });
+    const result = await feeDesk.handleWebhook(headers, body);
+
+    assert.equal(result.held, true);
+    assert.equal((await feeDesk.getPayment(order.orderId)).status, 'held');
+    const stored = (await registration.get()).data();
+    assert.equal(stored.status, 'selected');
+    assert.equal(stored.paymentStatus, 'held');
+    assert.equal((await outboxJobs(db)).length, 0);
+    await assert.rejects(feeDesk.createOrder(linkToken(registration.id)), { status: 409 });
+});
+
+test('a new order cancels the old one and a capture on it is held', async () => {
+    const { db, provider, feeDesk, registration } = await setup();
+    const first = await feeDesk.createOrder(linkToken(registration.id));
+    const stale = (await db.collection(PAYMENTS_COLLECTION).doc(first.orderId).get()).data();
+
+    // The scholarship changes after the first order was opened
+    await registration.update({ scholarshipDiscountPercent: 50 });
+    const second = await feeDesk.createOrder(linkToken(registration.id));
+    assert.notEqual(second.orderId, first.orderId);
+    assert.equal((await feeDesk.getPayment(first.orderId)).status, 'cancelled');
+
+    const { headers, body } = provider.simulatePayment(stale);
+    assert.equal((await feeDesk.handleWebhook(headers, body)).held, true);
+    const held = await feeDesk.getPayment(first.orderId);
+    assert.equal(held.status, 'held');
+    assert.equal(held.heldReason, 'order replaced');
+    assert.equal(held.invoiceNumber, null);
+    assert.equal((await registration.get()).get('paymentStatus'), 'held');
+    assert.equal((await outboxJobs(db)).length, 0);
+});
+
+test('a second capture after the fee is paid is held and keeps the first invoice', async () => {
+    const { db, provider, feeDesk, registration } = await setup();
+    const order = await feeDesk.createOrder(linkToken(registration.id));
+    await feeDesk.simulatePayment(order.orderId);
+    const paid = (await registration.get()).data();
+
+    // An order left open from before, e.g. by an earlier version
+    const original = (await db.collection(PAYMENTS_COLLECTION).doc(order.orderId).get()).data();
+    const extra = { ...original, orderId: 'order_extra', status: 'created', paymentId: null, invoiceNumber: null };
+    await db.collection(PAYMENTS_COLLECTION).doc('order_extra').set(extra);
+    const { headers, body } = provider.simulatePayment(extra);
+    assert.equal((await feeDesk.handleWebhook(headers, body)).held, true);
+
+    const held = await feeDesk.getPayment('order_extra');
+    assert.equal(held.status, 'held');
+    assert.equal(held.heldReason, 'already paid');
+    assert.equal(held.invoiceNumber, null);
+    const stored = (await registration.get()).data();
+    assert.equal(stored.paymentStatus, 'paid');
+    assert.equal(stored.invoiceNumber, paid.invoiceNumber);
+    assert.equal(stored.paymentOrderId, order.orderId);
+    assert.equal((await outboxJobs(db)).filter(job => job.get('message').attachments).length, 1);
+});
+
+test('webhooks with a bad signature are rejected', async () => {
+    const { feeDesk } = await setup();
+    await assert.rejects(feeDesk.handleWebhook({ 'x-fake-signature': 'forged' }, '{}'), { status: 401 });
+});
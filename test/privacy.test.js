@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { loadConfig, setConfig } = require('../lib/config');
+const { configureLogging } = require('../lib/logger');
+const { createMemoryFirestore } = require('../lib/datastore/memory');
+const { OUTBOX_COLLECTION } = require('../lib/mail/queue');
+const { REGISTRATIONS_COLLECTION } = require('../lib/registration-repository');
+const { PRIVACY_REQUESTS_COLLECTION, createPrivacyDesk } = require('../lib/privacy');
+const { PAYMENTS_COLLECTION } = require('../lib/fees');
+const { createCourseCatalog } = require('../lib/courses');
+const { createLifecycle } = require('../lib/lifecycle');
+const { createExamScheduler } = require('../lib/exams');
+const { createRegistrationService } = require('../lib/registration-service');
+
+const config = loadConfig({ NODE_ENV: 'test' });
+setConfig(config);
+configureLogging(config.logging);
+
+// A registration the way the original server stored it: address as typed,
+// no createdAt
+async function legacyRegistration(db, email) {
+    const sentAt = admin.firestore.Timestamp.fromMillis(Date.now() - 400 * 24 * 60 * 60 * 1000);
+    return db.collection(REGISTRATIONS_COLLECTION).add({
+        email,
+        name: 'Asha Rao',
+        course: 'WebCraft Pro: Full Stack Bootcamp',
+        confirmationEmailSent: true,
+        emailSentAt: sentAt,
+        emailAttempts: 1,
+        lastEmailAttempt: sentAt
+    });
+}
+
+// Token from the link in the queued privacy email
+async function emailedToken(db, jobId) {
+    const job = await db.collection(OUTBOX_COLLECTION).doc(jobId).get();
+    return job.get('message').text.match(/\/api\/privacy\/([\w-]{43})/)[1];
+}
+
+test('requestAccess sends nothing for an address without data', async () => {
+    const db = createMemoryFirestore();
+    const desk = createPrivacyDesk(db);
+
+    assert.deepEqual(await desk.requestAccess({ email: 'nobody@example.com' }), { sent: false });
+    assert.equal((await db.collection(OUTBOX_COLLECTION).get()).size, 0);
+});
+
+test('a mixed-case legacy address can request, export and erase its data', async () => {
+    const db = createMemoryFirestore();
+    const desk = createPrivacyDesk(db);
+    const registration = await legacyRegistration(db, 'Asha.Rao@Example.com');
+
+    const { sent, jobId } = await desk.requestAccess({ email: 'Asha.Rao@Example.com' });
+    assert.equal(sent, true);
+    const token = await emailedToken(db, jobId);
+
+    const exported = await desk.exportData(token);
+    assert.equal(exported.email, 'asha.rao@example.com');
+    assert.deepEqual(exported.registrations.map(entry => entry.id), [registration.id]);
+
+    const result = await desk.eraseData(token, { mode: 'anonymize' });
+    assert.equal(result.counts.registrations, 1);
+    assert.equal((await registration.get()).exists, false);
+    const [anonymized] = (await db.collection(REGISTRATIONS_COLLECTION).get()).docs;
+    assert.match(anonymized.get('email'), /@anonymized\.invalid$/);
+    assert.equal(anonymized.get('name'), 'Anonymized applicant');
+    assert.equal(anonymized.get('confirmationEmailSent'), true);
+});
+
+test('an applicant can register again after anonymizing', async () => {
+    const db = createMemoryFirestore();
+    const desk = createPrivacyDesk(db);
+    await createCourseCatalog(db).ensureDefaultCourses();
+    const service = createRegistrationService(db, {
+        examScheduler: createExamScheduler(db, { lifecycle: createLifecycle(db) })
+    });
+    const applicant = { name: 'Asha Rao', email: 'asha@example.com', course: 'web' };
+
+    const first = await service.register(applicant);
+    await db.collection(REGISTRATIONS_COLLECTION).doc(first.registrationId).update({ confirmationEmailSent: true });
+    await db.collection(PAYMENTS_COLLECTION).add({ registrationId: first.registrationId, email: 'asha@example.com', status: 'paid' });
+
+    const { jobId } = await desk.requestAccess({ email: 'asha@example.com' });
+    await desk.eraseData(await emailedToken(db, jobId), { mode: 'anonymize' });
+
+    // Nothing is left under the id derived from the address
+    assert.equal((await db.collection(REGISTRATIONS_COLLECTION).doc(first.registrationId).get()).exists, false);
+    const [anonymized] = (await db.collection(REGISTRATIONS_COLLECTION).get()).docs;
+    const [payment] = (await db.collection(PAYMENTS_COLLECTION).get()).docs;
+    assert.equal(payment.get('registrationId'), anonymized.id);
+
+    const second = await service.register(applicant);
+    assert.equal(second.outcome, 'queued');
+    assert.equal(second.registrationId, first.registrationId);
+    assert.equal((await db.collection(REGISTRATIONS_COLLECTION).get()).size, 2);
+});
+
+test('links are spent by erasing and rejected when unknown or expired', async () => {
+    const db = createMemoryFirestore();
+    const desk = createPrivacyDesk(db);
+    const registration = await legacyRegistration(db, 'asha@example.com');
+
+    await assert.rejects(desk.describeRequest('not-a-token'), { status: 404 });
+    await assert.rejects(desk.describeRequest(crypto.randomBytes(32).toString('base64url')), { status: 404 });
+
+    const first = await desk.requestAccess({ email: 'asha@example.com' });
+    const expired = await emailedToken(db, first.jobId);
+    const expiredId = crypto.createHash('sha256').update(expired).digest('hex');
+    await db.collection(PRIVACY_REQUESTS_COLLECTION).doc(expiredId).update({
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() - 1000)
+    });
+    await assert.rejects(desk.exportData(expired), { status: 410 });
+
+    const second = await desk.requestAccess({ email: 'asha@example.com' });
+    const token = await emailedToken(db, second.jobId);
+    await assert.rejects(desk.eraseData(token, { mode: 'shred' }), { status: 400 });
+
+    const result = await desk.eraseData(token, { mode: 'delete' });
+    assert.equal(result.counts.registrations, 1);
+    assert.equal((await registration.get()).exists, false);
+    await assert.rejects(desk.eraseData(token, { mode: 'delete' }), { status: 410 });
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, setConfig } = require('../lib/config');
+const { configureLogging } = require('../lib/logger');
+const { createMemoryFirestore } = require('../lib/datastore/memory');
+const { OUTBOX_COLLECTION } = require('../lib/mail/queue');
+const { REGISTRATIONS_COLLECTION } = require('../lib/registration-repository');
+const { createCourseCatalog } = require('../lib/courses');
+const { createLifecycle } = require('../lib/lifecycle');
+const { createExamScheduler } = require('../lib/exams');
+const { createRegistrationService } = require('../lib/registration-service');
+const { createServices } = require('../lib/services');
+
+const config = loadConfig({ NODE_ENV: 'test' });
+setConfig(config);
+configureLogging(config.logging);
+
+async function setup() {
+    const db = createMemoryFirestore();
+    const courseCatalog = createCourseCatalog(db);
+    await courseCatalog.ensureDefaultCourses();
+    const examScheduler = createExamScheduler(db, { lifecycle: createLifecycle(db) });
+    const service = createRegistrationService(db, { examScheduler });
+    return { db, courseCatalog, service };
+}
+
+function applicant(fields) {
+    return { name: 'Asha Rao', email: 'asha@example.com', course: 'web', ...fields };
+}
+
+async function count(db, collection) {
+    return (await db.collection(collection).get()).size;
+}
+
+test('registering twice keeps one registration and one confirmation', async () => {
+    const { db, service } = await setup();
+
+    const first = await service.register(applicant());
+    assert.equal(first.outcome, 'queued');
+
+    const second = await service.register(applicant({ email: ' Asha@Example.com ' }));
+    assert.equal(second.outcome, 'alreadyQueued');
+    assert.equal(second.registrationId, first.registrationId);
+    assert.equal(second.jobId, first.jobId);
+
+    await db.collection(REGISTRATIONS_COLLECTION).doc(first.registrationId).update({ confirmationEmailSent: true });
+    const third = await service.register(applicant());
+    assert.equal(third.outcome, 'alreadySent');
+
+    assert.equal(await count(db, REGISTRATIONS_COLLECTION), 1);
+    assert.equal(await count(db, OUTBOX_COLLECTION), 1);
+});
+
+test('concurrent registrations for one applicant create a single registration', async () => {
+    const { db, courseCatalog, service } = await setup();
+
+    const results = await Promise.all([1, 2, 3].map(() => service.register(applicant())));
+
+    assert.deepEqual(results.map(result => result.outcome).sort(), ['alreadyQueued', 'alreadyQueued', 'queued']);
+    assert.equal(new Set(results.map(result => result.registrationId)).size, 1);
+    assert.equal(await count(db, REGISTRATIONS_COLLECTION), 1);
+    assert.equal(await count(db, OUTBOX_COLLECTION), 1);
+    assert.equal((await courseCatalog.getCourse('web')).registeredCount, 1);
+});
+
+test('the last seat goes to one applicant and the course then reports full', async () => {
+    const { db, courseCatalog, service } = await setup();
+    await courseCatalog.updateCourse('web', { seats: 1 });
+
+    const results = await Promise.allSettled([
+        service.register(applicant()),
+        service.register(applicant({ name: 'Ravi Kumar', email: 'ravi@example.com' }))
+    ]);
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    const [refused] = results.filter(result => result.status === 'rejected');
+    assert.equal(refused.reason.status, 409);
+    assert.equal(refused.reason.error, 'Course full');
+    assert.equal(await count(db, REGISTRATIONS_COLLECTION), 1);
+    assert.equal((await courseCatalog.getCourse('web')).seatsRemaining, 0);
+});
+
+test('services seed the default catalog once before the first registration', async () => {
+    const db = createMemoryFirestore();
+    const services = createServices({ db, transport: null });
+
+    const [first, second] = await Promise.all([services.ensureCatalog(), services.ensureCatalog()]);
+    assert.equal(first, true);
+    assert.equal(second, true);
+    assert.equal(await services.ensureCatalog(), true);
+
+    const result = await services.registrationService.register(applicant());
+    assert.equal(result.outcome, 'queued');
+    assert.equal((await services.courseCatalog.listCourses()).length, 4);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, setConfig } = require('../lib/config');
+const { configureLogging } = require('../lib/logger');
+const { createMemoryFirestore } = require('../lib/datastore/memory');
+const { OUTBOX_COLLECTION } = require('../lib/mail/queue');
+const { REGISTRATIONS_COLLECTION } = require('../lib/registration-repository');
+const { createLifecycle } = require('../lib/lifecycle');
+const { createScholarshipSettings } = require('../lib/scholarships');
+const { createResultsImporter } = require('../lib/results');
+
+const config = loadConfig({ NODE_ENV: 'test' });
+setConfig(config);
+configureLogging(config.logging);
+
+function setup() {
+    const db = createMemoryFirestore();
+    const lifecycle = createLifecycle(db);
+    const importer = createResultsImporter(db, { lifecycle, scholarships: createScholarshipSettings(db) });
+    return { db, lifecycle, importer };
+}
+
+function addRegistration(db, fields) {
+    return db.collection(REGISTRATIONS_COLLECTION).add({
+        email: 'asha@example.com',
+        name: 'Asha Rao',
+        course: 'WebCraft Pro: Full Stack Bootcamp',
+        courseCode: 'web',
+        status: 'registered',
+        ...fields
+    });
+}
+
+test('transition refuses moves the lifecycle does not allow', async () => {
+    const { db, lifecycle } = setup();
+    const registration = await addRegistration(db, { status: 'shortlisted' });
+
+    await assert.rejects(lifecycle.transition(registration.id, 'enrolled'), { status: 409 });
+    await assert.rejects(lifecycle.transition(registration.id, 'graduated'), { status: 400 });
+    await assert.rejects(lifecycle.transition('missing', 'selected'), { status: 404 });
+
+    const result = await lifecycle.transition(registration.id, 'selected', { actor: 'coordinator@example.com' });
+    assert.equal(result.from, 'shortlisted');
+    assert.ok(result.jobId, 'entering selected queues the selection email');
+
+    const stored = (await registration.get()).data();
+    assert.equal(stored.status, 'selected');
+    assert.equal(stored.statusHistory.at(-1).by, 'coordinator@example.com');
+    assert.equal((await db.collection(OUTBOX_COLLECTION).get()).size, 1);
+});
+
+test('importing a result records the tier and moves the candidate on', async () => {
+    const { db, importer } = setup();
+    const registration = await addRegistration(db, {});
+
+    const result = await importer.importResults([{ email: 'Asha@Example.com', score: 88 }], { notify: false });
+
+    assert.equal(result.imported.length, 1);
+    assert.equal(result.imported[0].error, undefined);
+    const stored = (await registration.get()).data();
+    assert.equal(stored.status, 'shortlisted');
+    assert.equal(stored.examScore, 88);
+    assert.equal(stored.scholarshipTier, 'gold');
+    assert.equal(stored.scholarshipDiscountPercent, 50);
+});
+
+test('re-importing a result for a selected candidate changes nothing', async () => {
+    const { db, importer } = setup();
+    const registration = await addRegistration(db, {
+        status: 'selected',
+        examScore: 72,
+        scholarshipTier: 'silver',
+        scholarshipDiscountPercent: 30
+    });
+
+    for (const dryRun of [true, false]) {
+        const result = await importer.importResults([{ email: 'asha@example.com', score: 95 }], { dryRun });
+        assert.match(result.imported[0].error, /already selected/);
+    }
+
+    const stored = (await registration.get()).data();
+    assert.equal(stored.status, 'selected');
+    assert.equal(stored.examScore, 72);
+    assert.equal(stored.scholarshipTier, 'silver');
+    assert.equal(stored.scholarshipDiscountPercent, 30);
+    assert.equal((await db.collection(OUTBOX_COLLECTION).get()).size, 0);
+});
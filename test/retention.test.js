@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { loadConfig, setConfig } = require('../lib/config');
+const { configureLogging } = require('../lib/logger');
+const { createMemoryFirestore } = require('../lib/datastore/memory');
+const { REGISTRATIONS_COLLECTION } = require('../lib/registration-repository');
+const { TICKETS_COLLECTION } = require('../lib/tickets');
+const { createRetentionJob } = require('../lib/retention');
+
+const config = loadConfig({ NODE_ENV: 'test' });
+setConfig(config);
+configureLogging(config.logging);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+    return admin.firestore.Timestamp.fromMillis(Date.now() - days * DAY_MS);
+}
+
+async function seed(db) {
+    const registrations = db.collection(REGISTRATIONS_COLLECTION);
+    const tickets = db.collection(TICKETS_COLLECTION);
+    return {
+        // Stored by the original server: no createdAt
+        legacy: await registrations.add({ email: 'old@example.com', emailSentAt: daysAgo(5 * 365), lastEmailAttempt: daysAgo(5 * 365) }),
+        old: await registrations.add({ email: 'a@example.com', status: 'rejected', createdAt: daysAgo(4 * 365) }),
+        enrolled: await registrations.add({ email: 'c@example.com', status: 'enrolled', createdAt: daysAgo(4 * 365) }),
+        selected: await registrations.add({ email: 'd@example.com', status: 'selected', createdAt: daysAgo(4 * 365) }),
+        feePaid: await registrations.add({ email: 'e@example.com', status: 'fee_paid', createdAt: daysAgo(4 * 365) }),
+        recent: await registrations.add({ email: 'b@example.com', status: 'rejected', createdAt: daysAgo(30) }),
+        answered: await tickets.add({ email: 'a@example.com', status: 'answered', updatedAt: daysAgo(3 * 365) }),
+        open: await tickets.add({ email: 'b@example.com', status: 'open', updatedAt: daysAgo(3 * 365) })
+    };
+}
+
+async function exists(ref) {
+    return (await ref.get()).exists;
+}
+
+test('purge removes expired records, including registrations without createdAt', async () => {
+    const db = createMemoryFirestore();
+    const docs = await seed(db);
+
+    const { purged } = await createRetentionJob(db).purge();
+
+    assert.equal(purged.registrations, 3);
+    assert.equal(purged.contactMessages, 1);
+    assert.equal(await exists(docs.legacy), false);
+    assert.equal(await exists(docs.old), false);
+    assert.equal(await exists(docs.enrolled), false);
+    assert.equal(await exists(docs.selected), true, 'registrations still in progress are never purged');
+    assert.equal(await exists(docs.feePaid), true, 'registrations still in progress are never purged');
+    assert.equal(await exists(docs.recent), true);
+    assert.equal(await exists(docs.answered), false);
+    assert.equal(await exists(docs.open), true, 'open tickets are never purged');
+});
+
+test('a dry run counts without deleting', async () => {
+    const db = createMemoryFirestore();
+    const docs = await seed(db);
+
+    const result = await createRetentionJob(db).purge({ dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.equal(result.purged.registrations, 3);
+    assert.equal(await exists(docs.legacy), true);
+    assert.equal(await exists(docs.old), true);
+});
+
+test('a retention period of 0 keeps records forever', async () => {
+    const db = createMemoryFirestore();
+    const docs = await seed(db);
+
+    const { purged } = await createRetentionJob(db, { days: { registrations: 0 } }).purge();
+
+    assert.equal(purged.registrations, undefined);
+    assert.equal(await exists(docs.legacy), true);
+    assert.equal(purged.contactMessages, 1);
+});
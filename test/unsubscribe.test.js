@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { loadConfig, setConfig } = require('../lib/config');
+const { configureLogging } = require('../lib/logger');
+const { createMemoryFirestore } = require('../lib/datastore/memory');
+const { createSuppressionList } = require('../lib/suppressions');
+const { unsubscribeToken, verifyUnsubscribeToken, unsubscribeUrl } = require('../lib/unsubscribe');
+const createUnsubscribeRouter = require('../routes/unsubscribe');
+
+const config = loadConfig({ NODE_ENV: 'test', UNSUBSCRIBE_SECRET: 'unsubscribe-test-secret' });
+setConfig(config);
+configureLogging(config.logging);
+
+// The router on an ephemeral port; resolves to its base URL and a close()
+function serve(router) {
+    const app = express();
+    app.use('/api', router);
+    return new Promise(resolve => {
+        const server = app.listen(0, () => resolve({
+            baseUrl: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+test('unsubscribe tokens verify for the address they were made for, in any case', () => {
+    const token = unsubscribeToken('Asha@Example.com');
+    assert.equal(verifyUnsubscribeToken('asha@example.com', token), true);
+    assert.equal(verifyUnsubscribeToken('someone@example.com', token), false);
+    assert.equal(verifyUnsubscribeToken('asha@example.com', `${token}x`), false);
+    assert.equal(verifyUnsubscribeToken('asha@example.com', undefined), false);
+});
+
+test('unsubscribe tokens depend on the secret', () => {
+    const token = unsubscribeToken('asha@example.com', 'one-secret');
+    assert.equal(verifyUnsubscribeToken('asha@example.com', token, 'another-secret'), false);
+});
+
+test('POST /api/unsubscribe suppresses only with a valid link', async (t) => {
+    const db = createMemoryFirestore();
+    const suppressions = createSuppressionList(db);
+    const server = await serve(createUnsubscribeRouter(suppressions));
+    t.after(server.close);
+
+    const url = new URL(unsubscribeUrl('asha@example.com', { campaignId: 'camp1', baseUrl: server.baseUrl }));
+
+    const forged = new URL(url);
+    forged.searchParams.set('email', 'victim@example.com');
+    const rejected = await fetch(forged, { method: 'POST' });
+    assert.equal(rejected.status, 400);
+    assert.equal(await suppressions.isSuppressed('victim@example.com'), false);
+
+    const preview = await fetch(url);
+    assert.equal(preview.status, 200);
+    assert.equal(await suppressions.isSuppressed('asha@example.com'), false);
+
+    const accepted = await fetch(url, { method: 'POST' });
+    assert.equal(accepted.status, 200);
+    assert.equal(await suppressions.isSuppressed('asha@example.com'), true);
+});